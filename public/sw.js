@@ -0,0 +1,92 @@
+// Keeps the app shell and downloaded audio available with no network.
+// The shell (index.html and the bundles it references) is cached on install
+// and refreshed whenever the network answers; downloaded audio is served
+// from the cache the Downloads page fills (see src/utils/downloads.js).
+
+const SHELL_CACHE = 'nirvaha-shell-v1'
+const AUDIO_CACHE = 'nirvaha-audio-v1'
+
+// Vite's content-hashed build output; a deploy changes the names, not the files
+const isBuildAsset = (url) => url.origin === self.location.origin && url.pathname.startsWith('/assets/')
+
+// index.html plus the hashed scripts, styles and preloads it links to
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE)
+  const response = await fetch('/index.html', { cache: 'no-cache' })
+  if (!response.ok) return
+  const html = await response.clone().text()
+  await cache.put('/index.html', response)
+
+  const assets = [...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)]
+    .map(match => match[1])
+    .filter(path => isBuildAsset(new URL(path, self.location.origin)))
+  await Promise.all(assets.map(path => cache.add(path).catch(() => {})))
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith('nirvaha-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+// Pages: network first so deploys show up, the cached shell when offline.
+// Every route is the same single-page app.
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.status === 200) {
+      cache.put('/index.html', response.clone()).catch(error => {
+        console.warn('Could not cache the app shell', error)
+      })
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match('/index.html')
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Hashed bundles never change, so the cache answers first. Only complete
+// 200 responses are kept.
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.status === 200) {
+    cache.put(request, response.clone()).catch(error => {
+      console.warn('Could not cache', request.url, error)
+    })
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+    return
+  }
+
+  const url = new URL(request.url)
+  event.respondWith((async () => {
+    // Downloaded audio may live on another origin; it is keyed by its URL
+    const audio = await caches.open(AUDIO_CACHE).then(cache => cache.match(request.url))
+    if (audio) return audio
+    // Media elements ask for byte ranges; those go straight to the network
+    if (isBuildAsset(url) && !request.headers.has('range')) return handleAsset(request)
+    return fetch(request)
+  })())
+})
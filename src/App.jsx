@@ -8,7 +8,13 @@ import About from './pages/About'
 import Contact from './pages/Contact'
 import DivineChat from './pages/DivineChat'
 import Meditation from './pages/Meditation'
+import MeditationPlayer from './pages/MeditationPlayer'
+import MeditationTimer from './pages/MeditationTimer'
 import SoundHealing from './pages/SoundHealing'
+import Breathwork from './pages/Breathwork'
+import Library from './pages/Library'
+import Course from './pages/Course'
+import Downloads from './pages/Downloads'
 import Profile from './pages/Profile'
 import Auth from './components/Auth'
 import ResetPassword from './pages/ResetPassword'
@@ -80,6 +86,54 @@ const App = () => {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/meditation/timer" 
+                element={
+                  <ProtectedRoute>
+                    <MeditationTimer />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/meditation/:id" 
+                element={
+                  <ProtectedRoute>
+                    <MeditationPlayer />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/courses/:slug" 
+                element={
+                  <ProtectedRoute>
+                    <Course />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/library" 
+                element={
+                  <ProtectedRoute>
+                    <Library />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/downloads" 
+                element={
+                  <ProtectedRoute>
+                    <Downloads />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/breathwork" 
+                element={
+                  <ProtectedRoute>
+                    <Breathwork />
+                  </ProtectedRoute>
+                } 
+              />
               <Route 
                 path="/sound-healing" 
                 element={
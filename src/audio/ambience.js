@@ -0,0 +1,19 @@
+// Ambient beds that can be layered under guided narration
+export const AMBIENT_BEDS = [
+  { id: 'none', name: 'None', src: null },
+  { id: 'rain', name: 'Rain', src: '/sounds/ambient/rain.mp3' },
+  { id: 'bowls', name: 'Singing Bowls', src: '/sounds/ambient/singing-bowls.mp3' },
+  { id: 'temple', name: 'Temple', src: '/meditation.mp4' }
+]
+
+export const getAmbientBed = (id) =>
+  AMBIENT_BEDS.find(bed => bed.id === id) || AMBIENT_BEDS[0]
+
+// Loops that can be layered over a brainwave tone in the Sound Healing mixer
+export const SOUNDSCAPE_LOOPS = [
+  { id: 'rain', name: 'Rain', icon: '🌧️', src: '/sounds/ambient/rain.mp3' },
+  { id: 'ocean', name: 'Ocean', icon: '🌊', src: '/sounds/ambient/ocean.mp3' },
+  { id: 'forest', name: 'Forest', icon: '🌲', src: '/sounds/ambient/forest.mp3' },
+  { id: 'bowls', name: 'Singing Bowls', icon: '🥣', src: '/sounds/ambient/singing-bowls.mp3' },
+  { id: 'tanpura', name: 'Tanpura Drone', icon: '🪕', src: '/sounds/ambient/tanpura.mp3' }
+]
@@ -0,0 +1,68 @@
+import { getAudioContext } from './context'
+
+// Bells are synthesized from inharmonic partials so no audio files are needed.
+// Each partial is [frequency ratio, relative gain, decay seconds].
+export const BELL_SOUNDS = [
+  {
+    id: 'bowl',
+    name: 'Singing Bowl',
+    fundamental: 220,
+    partials: [[1, 1, 9], [2.71, 0.5, 6], [5.13, 0.25, 4], [8.21, 0.12, 2.5]]
+  },
+  {
+    id: 'gong',
+    name: 'Temple Gong',
+    fundamental: 98,
+    partials: [[1, 1, 12], [1.48, 0.6, 9], [2.01, 0.45, 7], [2.59, 0.3, 5], [3.53, 0.2, 3]]
+  },
+  {
+    id: 'chime',
+    name: 'Chime',
+    fundamental: 880,
+    partials: [[1, 1, 4], [2.76, 0.35, 2.5], [5.4, 0.15, 1.2]]
+  }
+]
+
+export const getBellSound = (id) =>
+  BELL_SOUNDS.find(bell => bell.id === id) || BELL_SOUNDS[0]
+
+/**
+ * Strike a bell. Returns the time in seconds until it has fully rung out.
+ * Pass a context and destination to render into something other than the
+ * speakers (e.g. an OfflineAudioContext).
+ */
+export const playBell = (bellId, {
+  ctx = getAudioContext(),
+  destination = ctx.destination,
+  when = ctx.currentTime,
+  volume = 0.6
+} = {}) => {
+  const bell = getBellSound(bellId)
+  const output = ctx.createGain()
+  output.gain.value = volume
+  output.connect(destination)
+
+  let ringOut = 0
+  bell.partials.forEach(([ratio, gain, decay]) => {
+    // A slightly detuned pair per partial gives the slow beating of real metal
+    const detunes = [-0.6, 0.6]
+    detunes.forEach(detune => {
+      const osc = ctx.createOscillator()
+      const env = ctx.createGain()
+      osc.type = 'sine'
+      osc.frequency.value = bell.fundamental * ratio + detune
+
+      env.gain.setValueAtTime(0, when)
+      env.gain.linearRampToValueAtTime(gain / 2, when + 0.005)
+      env.gain.exponentialRampToValueAtTime(0.0001, when + decay)
+
+      osc.connect(env)
+      env.connect(output)
+      osc.start(when)
+      osc.stop(when + decay + 0.05)
+    })
+    ringOut = Math.max(ringOut, decay)
+  })
+
+  return ringOut
+}
@@ -0,0 +1,200 @@
+import { getAudioContext, rampParam } from './context'
+
+// Pure sines are fatiguing well below full scale, so the volume slider maps
+// onto 0..MAX_TONE_GAIN
+export const MAX_TONE_GAIN = 0.3
+
+// Beat frequency range for each brainwave band, in hertz. Carriers sit in
+// the low hundreds, where a beat between the ears is easiest to perceive.
+export const BRAINWAVE_BANDS = {
+  alpha: { min: 8, max: 12, step: 0.5, defaultBeat: 10, carrier: 200 },
+  beta: { min: 12, max: 30, step: 0.5, defaultBeat: 18, carrier: 220 },
+  gamma: { min: 38, max: 45, step: 0.5, defaultBeat: 40, carrier: 250 },
+  delta: { min: 0.5, max: 4, step: 0.1, defaultBeat: 2, carrier: 150 }
+}
+
+export const clampBeat = (bandId, beat) => {
+  const band = BRAINWAVE_BANDS[bandId]
+  return Math.min(Math.max(beat, band.min), band.max)
+}
+
+export const BRAINWAVE_MODES = [
+  {
+    id: 'binaural',
+    name: 'Binaural',
+    description: 'A slightly different tone in each ear',
+    needsHeadphones: true
+  },
+  {
+    id: 'isochronic',
+    name: 'Isochronic',
+    description: 'One tone switched on and off at the beat rate',
+    needsHeadphones: false
+  },
+  {
+    id: 'monaural',
+    name: 'Monaural',
+    description: 'Two tones mixed before they reach the ears',
+    needsHeadphones: false
+  }
+]
+
+export const getBrainwaveMode = (id) =>
+  BRAINWAVE_MODES.find(mode => mode.id === id) || BRAINWAVE_MODES[0]
+
+const createOscillator = (ctx, frequency, destination) => {
+  const oscillator = ctx.createOscillator()
+  oscillator.type = 'sine'
+  oscillator.frequency.value = frequency
+  oscillator.connect(destination)
+  oscillator.start()
+  return oscillator
+}
+
+// A square wave built from its first odd harmonics, with the Lanczos sigma
+// taming the ringing. Used as a gate its edges are soft enough not to click.
+const createPulseWave = (ctx) => {
+  const harmonics = 8
+  const real = new Float32Array(harmonics + 1)
+  const imag = new Float32Array(harmonics + 1)
+  for (let n = 1; n <= harmonics; n += 2) {
+    const sigma = Math.sin((Math.PI * n) / (harmonics + 1)) / ((Math.PI * n) / (harmonics + 1))
+    imag[n] = (4 / (Math.PI * n)) * sigma
+  }
+  return ctx.createPeriodicWave(real, imag)
+}
+
+// Two sines `beat` hertz apart, hard left and hard right. The pulse only
+// exists inside the head, so it needs headphones.
+const buildBinaural = (ctx, output, carrier, beat) => {
+  const createEar = (pan, frequency) => {
+    const panner = ctx.createStereoPanner()
+    panner.pan.value = pan
+    panner.connect(output)
+    return createOscillator(ctx, frequency, panner)
+  }
+  const left = createEar(-1, carrier - beat / 2)
+  const right = createEar(1, carrier + beat / 2)
+
+  return {
+    oscillators: [left, right],
+    setBeat(hz, seconds) {
+      rampParam(ctx, left.frequency, carrier - hz / 2, seconds)
+      rampParam(ctx, right.frequency, carrier + hz / 2, seconds)
+    }
+  }
+}
+
+// The same two sines summed in the air, so the beat is an audible wobble
+// that works on speakers
+const buildMonaural = (ctx, output, carrier, beat) => {
+  const mix = ctx.createGain()
+  mix.gain.value = 0.5
+  mix.connect(output)
+  const low = createOscillator(ctx, carrier - beat / 2, mix)
+  const high = createOscillator(ctx, carrier + beat / 2, mix)
+
+  return {
+    oscillators: [low, high],
+    setBeat(hz, seconds) {
+      rampParam(ctx, low.frequency, carrier - hz / 2, seconds)
+      rampParam(ctx, high.frequency, carrier + hz / 2, seconds)
+    }
+  }
+}
+
+// A single tone gated by a pulse wave at the beat rate: gain = 0.5 + 0.5 * pulse
+const buildIsochronic = (ctx, output, carrier, beat) => {
+  const gate = ctx.createGain()
+  gate.gain.value = 0.5
+  gate.connect(output)
+  const tone = createOscillator(ctx, carrier, gate)
+
+  const depth = ctx.createGain()
+  depth.gain.value = 0.5
+  depth.connect(gate.gain)
+  const pulse = ctx.createOscillator()
+  pulse.setPeriodicWave(createPulseWave(ctx))
+  pulse.frequency.value = beat
+  pulse.connect(depth)
+  pulse.start()
+
+  return {
+    oscillators: [tone, pulse],
+    setBeat(hz, seconds) {
+      rampParam(ctx, pulse.frequency, hz, seconds)
+    }
+  }
+}
+
+const BUILDERS = {
+  binaural: buildBinaural,
+  monaural: buildMonaural,
+  isochronic: buildIsochronic
+}
+
+/**
+ * A live brainwave tone in one of BRAINWAVE_MODES around `carrier` hertz,
+ * beating at `beat` hertz. Starts silent; call fadeIn once created.
+ */
+export const createBrainwaveTone = ({
+  ctx = getAudioContext(),
+  destination = ctx.destination,
+  mode = 'binaural',
+  carrier,
+  beat,
+  volume = 0.5
+}) => {
+  const output = ctx.createGain()
+  output.gain.value = 0
+  output.connect(destination)
+
+  const voice = (BUILDERS[mode] || buildBinaural)(ctx, output, carrier, beat)
+  voice.oscillators[0].onended = () => output.disconnect()
+
+  let level = volume
+
+  return {
+    fadeIn(seconds = 2) {
+      rampParam(ctx, output.gain, level * MAX_TONE_GAIN, seconds)
+    },
+
+    // Glide rather than jump so slider moves don't click
+    setBeat(hz, seconds = 0.2) {
+      voice.setBeat(hz, seconds)
+    },
+
+    setVolume(value, seconds = 0.1) {
+      level = value
+      rampParam(ctx, output.gain, level * MAX_TONE_GAIN, seconds)
+    },
+
+    stop(seconds = 1) {
+      rampParam(ctx, output.gain, 0, seconds)
+      const end = ctx.currentTime + seconds + 0.05
+      voice.oscillators.forEach(oscillator => oscillator.stop(end))
+    }
+  }
+}
+
+// A short chime in one ear only, to check headphones are on the right way round
+export const playChannelCheck = (side, { ctx = getAudioContext(), volume = 0.3 } = {}) => {
+  const now = ctx.currentTime
+  const panner = ctx.createStereoPanner()
+  panner.pan.value = side === 'left' ? -1 : 1
+  panner.connect(ctx.destination)
+
+  const gain = ctx.createGain()
+  gain.gain.setValueAtTime(0, now)
+  gain.gain.linearRampToValueAtTime(volume, now + 0.02)
+  gain.gain.exponentialRampToValueAtTime(0.001, now + 0.8)
+  gain.connect(panner)
+
+  const oscillator = ctx.createOscillator()
+  oscillator.type = 'sine'
+  oscillator.frequency.value = side === 'left' ? 523.25 : 659.25
+  oscillator.connect(gain)
+  oscillator.onended = () => panner.disconnect()
+  oscillator.start(now)
+  oscillator.stop(now + 0.85)
+}
@@ -0,0 +1,23 @@
+import { getAudioContext } from './context'
+
+// Decoded audio kept for the whole visit, so a loop switched off and on again
+// starts instantly. Keyed by URL; failed loads are forgotten so they can be
+// retried.
+const bufferCache = new Map()
+
+export const loadAudioBuffer = (url, ctx = getAudioContext()) => {
+  if (!bufferCache.has(url)) {
+    const pending = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`Could not load ${url} (status ${response.status})`)
+        return response.arrayBuffer()
+      })
+      .then(data => ctx.decodeAudioData(data))
+      .catch(error => {
+        bufferCache.delete(url)
+        throw error
+      })
+    bufferCache.set(url, pending)
+  }
+  return bufferCache.get(url)
+}
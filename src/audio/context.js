@@ -0,0 +1,28 @@
+// One AudioContext shared by every player in the app. Browsers cap the
+// number of live contexts, and a single clock keeps layered sources aligned.
+let sharedContext = null
+
+export const getAudioContext = () => {
+  if (!sharedContext || sharedContext.state === 'closed') {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    sharedContext = new AudioContextClass()
+  }
+  return sharedContext
+}
+
+// Contexts start suspended until a user gesture, so call this from click handlers
+export const resumeAudioContext = async () => {
+  const ctx = getAudioContext()
+  if (ctx.state === 'suspended') {
+    await ctx.resume()
+  }
+  return ctx
+}
+
+// Ramp an AudioParam from its current value without clicks
+export const rampParam = (ctx, param, target, seconds) => {
+  const now = ctx.currentTime
+  param.cancelScheduledValues(now)
+  param.setValueAtTime(param.value, now)
+  param.linearRampToValueAtTime(target, now + Math.max(seconds, 0.01))
+}
@@ -0,0 +1,44 @@
+import { getAudioContext } from './context'
+
+// Soft tones marking each breathing phase: rising for inhale, falling for
+// exhale and a short blip for holds
+const CUE_SHAPES = {
+  inhale: { from: 220, to: 330, seconds: 0.7 },
+  exhale: { from: 330, to: 220, seconds: 0.7 },
+  hold: { from: 262, to: 262, seconds: 0.25 },
+  rest: { from: 196, to: 196, seconds: 0.25 }
+}
+
+const VIBRATION_PATTERNS = {
+  inhale: [60],
+  exhale: [30, 60, 30],
+  hold: [20],
+  rest: [20]
+}
+
+export const playBreathCue = (kind, { ctx = getAudioContext(), volume = 0.2 } = {}) => {
+  const shape = CUE_SHAPES[kind]
+  if (!shape || ctx.state !== 'running') return
+
+  const now = ctx.currentTime
+  const osc = ctx.createOscillator()
+  const gain = ctx.createGain()
+  osc.type = 'sine'
+  osc.frequency.setValueAtTime(shape.from, now)
+  osc.frequency.linearRampToValueAtTime(shape.to, now + shape.seconds)
+
+  gain.gain.setValueAtTime(0, now)
+  gain.gain.linearRampToValueAtTime(volume, now + 0.05)
+  gain.gain.exponentialRampToValueAtTime(0.0001, now + shape.seconds)
+
+  osc.connect(gain)
+  gain.connect(ctx.destination)
+  osc.start(now)
+  osc.stop(now + shape.seconds + 0.05)
+}
+
+export const vibrateBreathCue = (kind) => {
+  if (typeof navigator !== 'undefined' && navigator.vibrate) {
+    navigator.vibrate(VIBRATION_PATTERNS[kind] || [20])
+  }
+}
@@ -0,0 +1,237 @@
+import { getAudioContext, resumeAudioContext, rampParam } from './context'
+
+// Resolve once the element has buffered enough to play through
+const preload = (element) => new Promise((resolve, reject) => {
+  if (element.readyState >= 4) {
+    resolve(element)
+    return
+  }
+
+  const cleanup = () => {
+    element.removeEventListener('canplaythrough', handleReady)
+    element.removeEventListener('error', handleError)
+  }
+  const handleReady = () => {
+    cleanup()
+    resolve(element)
+  }
+  const handleError = () => {
+    cleanup()
+    reject(new Error(`Failed to load audio: ${element.src}`))
+  }
+
+  element.addEventListener('canplaythrough', handleReady)
+  element.addEventListener('error', handleError)
+  element.load()
+})
+
+// An <audio> element routed through its own gain node
+const createLayer = (ctx, src, { loop = false, volume = 1 } = {}) => {
+  const element = new Audio()
+  element.crossOrigin = 'anonymous'
+  element.preload = 'auto'
+  element.loop = loop
+  element.src = src
+
+  const source = ctx.createMediaElementSource(element)
+  const gain = ctx.createGain()
+  gain.gain.value = volume
+  source.connect(gain)
+
+  return { element, source, gain }
+}
+
+const destroyLayer = (layer) => {
+  if (!layer) return
+  layer.element.pause()
+  layer.element.removeAttribute('src')
+  layer.element.load()
+  layer.source.disconnect()
+  layer.gain.disconnect()
+}
+
+/**
+ * Guided meditation playback: a narration track mixed over an optional
+ * looping ambient bed. The bed fades in on play, out on pause and before the
+ * narration ends, and follows the narration position when seeking.
+ */
+export const createGuidedSession = ({
+  narrationUrl,
+  bedUrl = null,
+  narrationVolume = 1,
+  bedVolume = 0.4,
+  crossfadeSeconds = 3,
+  onTimeUpdate = () => {},
+  onEnded = () => {}
+}) => {
+  const ctx = getAudioContext()
+  const output = ctx.createGain()
+  output.connect(ctx.destination)
+  // Taps the narration alone, for the visualizer
+  const analyser = ctx.createAnalyser()
+  analyser.fftSize = 2048
+
+  const volumes = { narration: narrationVolume, bed: bedVolume }
+  let narration = null
+  let bed = null
+  let playing = false
+  let bedFadingOut = false
+
+  const bedTarget = () => (playing && !bedFadingOut ? volumes.bed : 0)
+
+  // Position the looping bed where it would be had it started with the narration
+  const syncBed = (position) => {
+    if (!bed || !Number.isFinite(bed.element.duration) || bed.element.duration === 0) return
+    bed.element.currentTime = position % bed.element.duration
+  }
+
+  const handleTimeUpdate = () => {
+    const { currentTime, duration } = narration.element
+    onTimeUpdate(currentTime)
+
+    // Let the bed drift out as the narration closes
+    if (!bedFadingOut && Number.isFinite(duration) && duration - currentTime <= crossfadeSeconds) {
+      bedFadingOut = true
+      if (bed) rampParam(ctx, bed.gain.gain, 0, Math.max(duration - currentTime, 0.5))
+    }
+  }
+
+  const handleEnded = () => {
+    playing = false
+    if (bed) bed.element.pause()
+    onEnded()
+  }
+
+  if (narrationUrl) {
+    narration = createLayer(ctx, narrationUrl, { volume: narrationVolume })
+    narration.gain.connect(output)
+    narration.gain.connect(analyser)
+    narration.element.addEventListener('timeupdate', handleTimeUpdate)
+    narration.element.addEventListener('ended', handleEnded)
+  }
+
+  const attachBed = async (url, position = 0) => {
+    const layer = createLayer(ctx, url, { loop: true, volume: 0 })
+    layer.gain.connect(output)
+
+    try {
+      await preload(layer.element)
+    } catch (error) {
+      destroyLayer(layer)
+      throw error
+    }
+
+    bed = layer
+    syncBed(position)
+    if (playing) {
+      await bed.element.play()
+      rampParam(ctx, bed.gain.gain, bedTarget(), crossfadeSeconds)
+    }
+  }
+
+  return {
+    hasNarration: Boolean(narration),
+    analyser: narration ? analyser : null,
+
+    // Buffer both layers. A missing bed is not fatal; a missing narration is.
+    async load() {
+      const [narrationResult, bedResult] = await Promise.allSettled([
+        narration ? preload(narration.element) : Promise.resolve(),
+        bedUrl ? attachBed(bedUrl) : Promise.resolve()
+      ])
+
+      if (bedResult.status === 'rejected') {
+        console.warn('Ambient bed unavailable:', bedResult.reason)
+      }
+      if (narrationResult.status === 'rejected') {
+        throw narrationResult.reason
+      }
+    },
+
+    getDuration() {
+      return narration && Number.isFinite(narration.element.duration) ? narration.element.duration : 0
+    },
+
+    getCurrentTime() {
+      return narration ? narration.element.currentTime : 0
+    },
+
+    async play(position) {
+      await resumeAudioContext()
+      playing = true
+
+      if (narration) {
+        await narration.element.play()
+      }
+      if (bed) {
+        syncBed(position ?? this.getCurrentTime())
+        await bed.element.play()
+        rampParam(ctx, bed.gain.gain, bedTarget(), crossfadeSeconds)
+      }
+    },
+
+    pause() {
+      playing = false
+      if (narration) narration.element.pause()
+      if (bed) {
+        const layer = bed
+        rampParam(ctx, layer.gain.gain, 0, 0.5)
+        setTimeout(() => {
+          if (!playing) layer.element.pause()
+        }, 500)
+      }
+    },
+
+    seek(position) {
+      if (narration) {
+        narration.element.currentTime = position
+        const duration = this.getDuration()
+        bedFadingOut = Boolean(duration) && duration - position <= crossfadeSeconds
+      }
+      syncBed(position)
+      if (bed) rampParam(ctx, bed.gain.gain, bedTarget(), 0.5)
+    },
+
+    setNarrationVolume(value) {
+      volumes.narration = value
+      if (narration) rampParam(ctx, narration.gain.gain, value, 0.1)
+    },
+
+    setBedVolume(value) {
+      volumes.bed = value
+      if (bed) rampParam(ctx, bed.gain.gain, bedTarget(), 0.1)
+    },
+
+    // Overall level on top of both layers, used by the sleep timer fade
+    setMasterVolume(value, seconds = 0.25) {
+      rampParam(ctx, output.gain, value, seconds)
+    },
+
+    // Crossfade from the current bed to a new one (or to silence)
+    async setBed(url, position) {
+      const previous = bed
+      bed = null
+
+      if (previous) {
+        rampParam(ctx, previous.gain.gain, 0, crossfadeSeconds)
+        setTimeout(() => destroyLayer(previous), crossfadeSeconds * 1000)
+      }
+      if (url) {
+        await attachBed(url, position ?? this.getCurrentTime())
+      }
+    },
+
+    destroy() {
+      playing = false
+      if (narration) {
+        narration.element.removeEventListener('timeupdate', handleTimeUpdate)
+        narration.element.removeEventListener('ended', handleEnded)
+      }
+      destroyLayer(narration)
+      destroyLayer(bed)
+      narration = null
+      bed = null
+      output.disconnect()
+    }
+  }
+}
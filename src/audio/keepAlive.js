@@ -0,0 +1,49 @@
+import { WAV_HEADER_BYTES, writeWavHeader } from './wav'
+
+// Browsers only show lock-screen controls, and mobile ones only keep a page's
+// audio running, while a media element plays. Sounds generated purely with
+// Web Audio have none, so a silent looping element stands in for them.
+
+const SAMPLE_RATE = 8000
+// Some platforms ignore media shorter than five seconds
+const SECONDS = 6
+
+let silenceUrl = null
+
+// An 8-bit mono WAV of silence, built once
+const getSilenceUrl = () => {
+  if (silenceUrl) return silenceUrl
+
+  const samples = SAMPLE_RATE * SECONDS
+  const view = new DataView(new ArrayBuffer(WAV_HEADER_BYTES + samples))
+  writeWavHeader(view, { sampleRate: SAMPLE_RATE, channels: 1, bitsPerSample: 8, dataBytes: samples })
+  for (let i = 0; i < samples; i++) view.setUint8(WAV_HEADER_BYTES + i, 128)
+
+  silenceUrl = URL.createObjectURL(new Blob([view], { type: 'audio/wav' }))
+  return silenceUrl
+}
+
+export const createKeepAlive = () => {
+  let element = null
+
+  return {
+    start() {
+      if (!element) {
+        element = new Audio(getSilenceUrl())
+        element.loop = true
+      }
+      return element.play().catch(error => {
+        console.warn('Media session keep-alive blocked:', error)
+      })
+    },
+
+    pause() {
+      element?.pause()
+    },
+
+    destroy() {
+      element?.pause()
+      element = null
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { BRAINWAVE_BANDS, createBrainwaveTone } from './brainwaves'
+import { createSolfeggioTone } from './solfeggio'
+import { SOUNDSCAPE_LOOPS } from './ambience'
+import { createLoopLayer } from './soundscape'
+import { PROGRAM_CARRIER, normalizeKeyframes, getProgramValues } from '../utils/sessionPrograms'
+
+export const RENDER_SAMPLE_RATE = 44100
+export const RENDER_CHANNELS = 2
+// The whole render is held as 32-bit floats (about 21 MB a minute) before
+// encoding, so longer renders risk running a phone's tab out of memory
+export const MAX_RENDER_MINUTES = 20
+// Rendering pauses this often to report progress and move a program along
+const STEP_SECONDS = 1
+
+/**
+ * Render a Sound Healing mix into an AudioBuffer `seconds` long, faster than
+ * real time. `settings` is the mix as saved in presets; `program`, when
+ * given, takes the place of its tone. The mix fades in and out over `fades`.
+ * Muted layers are left out. Aborting `signal` rejects with an AbortError.
+ */
+export const renderMix = async ({ settings, program, seconds, fades, onProgress, signal }) => {
+  if (seconds > MAX_RENDER_MINUTES * 60) {
+    throw new RangeError(`Renders are limited to ${MAX_RENDER_MINUTES} minutes`)
+  }
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext
+  const ctx = new OfflineContext(RENDER_CHANNELS, Math.round(seconds * RENDER_SAMPLE_RATE), RENDER_SAMPLE_RATE)
+
+  const master = ctx.createGain()
+  const fadeOut = Math.min(fades.fadeOut, seconds / 2)
+  master.gain.value = settings.masterVolume ?? 0.8
+  master.gain.setValueAtTime(master.gain.value, seconds - fadeOut)
+  master.gain.linearRampToValueAtTime(0, seconds)
+  master.connect(ctx.destination)
+
+  const toneVolume = settings.toneMuted ? 0 : settings.toneVolume ?? 0.5
+  const keyframes = program ? normalizeKeyframes(program.keyframes) : null
+  let programTone = null
+
+  if (program) {
+    const first = keyframes[0]
+    programTone = createBrainwaveTone({
+      ctx,
+      destination: master,
+      mode: program.mode,
+      carrier: PROGRAM_CARRIER,
+      beat: first.beat,
+      volume: first.volume
+    })
+    programTone.fadeIn(fades.fadeIn)
+  } else if (BRAINWAVE_BANDS[settings.band] && toneVolume > 0) {
+    const band = BRAINWAVE_BANDS[settings.band]
+    createBrainwaveTone({
+      ctx,
+      destination: master,
+      mode: settings.mode,
+      carrier: band.carrier,
+      beat: settings.beat ?? band.defaultBeat,
+      volume: toneVolume
+    }).fadeIn(fades.fadeIn)
+  } else if (settings.solfeggio && toneVolume > 0) {
+    createSolfeggioTone({
+      ctx,
+      destination: master,
+      frequency: settings.solfeggio,
+      timbre: settings.timbre || 'pure',
+      volume: toneVolume
+    }).fadeIn(fades.fadeIn)
+  }
+
+  // Each step ramps the program towards where it will be at the next one
+  const followProgram = (time) => {
+    if (!programTone) return
+    const { beat, volume } = getProgramValues(keyframes, (time + STEP_SECONDS) / 60)
+    programTone.setBeat(beat, STEP_SECONDS)
+    if (time >= fades.fadeIn) programTone.setVolume(volume, STEP_SECONDS)
+  }
+
+  // Loops are decoded before rendering starts; a loop that fails to load
+  // fails the render
+  await Promise.all(
+    Object.entries(settings.layers || {})
+      .filter(([, layer]) => !layer.muted)
+      .map(([id, layer]) => {
+        const loop = SOUNDSCAPE_LOOPS.find(l => l.id === id)
+        if (!loop) return null
+        return createLoopLayer({ ctx, destination: master, src: loop.src, volume: layer.volume })
+          .play(fades.fadeIn)
+      })
+  )
+
+  return new Promise((resolve, reject) => {
+    for (let time = STEP_SECONDS; time < seconds; time += STEP_SECONDS) {
+      ctx.suspend(time).then(() => {
+        // A cancelled render stays suspended and is dropped with the context
+        if (signal?.aborted) {
+          reject(new DOMException('Render cancelled', 'AbortError'))
+          return
+        }
+        onProgress?.(time / seconds)
+        followProgram(time)
+        ctx.resume()
+      })
+    }
+
+    followProgram(0)
+    ctx.startRendering().then(buffer => {
+      onProgress?.(1)
+      resolve(buffer)
+    }, reject)
+  })
+}
@@ -0,0 +1,142 @@
+import { getAudioContext, rampParam } from './context'
+import { MAX_TONE_GAIN } from './brainwaves'
+
+// The solfeggio scale, plus 432 Hz which the original Sound Healing page offered
+export const SOLFEGGIO_TONES = [
+  {
+    hz: 174,
+    name: '174 Hz Foundation',
+    description: 'The lowest solfeggio tone, used to ease tension and ground the body.',
+    color: 'from-red-500/20 to-primary/20'
+  },
+  {
+    hz: 285,
+    name: '285 Hz Restoration',
+    description: 'Associated with tissue repair and a sense of physical renewal.',
+    color: 'from-orange-500/20 to-primary/20'
+  },
+  {
+    hz: 396,
+    name: '396 Hz Liberation',
+    description: 'Linked to the root chakra, releasing guilt and fear.',
+    color: 'from-amber-500/20 to-primary/20'
+  },
+  {
+    hz: 417,
+    name: '417 Hz Change',
+    description: 'Said to clear stuck patterns and make way for change.',
+    color: 'from-yellow-500/20 to-primary/20'
+  },
+  {
+    hz: 432,
+    name: '432 Hz Miracle Tone',
+    description: 'Known as the miracle tone, 432 Hz resonates with the universe\'s natural frequency.',
+    color: 'from-blue-500/20 to-primary/20'
+  },
+  {
+    hz: 528,
+    name: '528 Hz Love Frequency',
+    description: 'The frequency of love and miracles, helping in cellular healing and transformation.',
+    color: 'from-green-500/20 to-primary/20'
+  },
+  {
+    hz: 639,
+    name: '639 Hz Heart Chakra',
+    description: 'Connects with the heart chakra, promoting love and positive relationships.',
+    color: 'from-pink-500/20 to-primary/20'
+  },
+  {
+    hz: 741,
+    name: '741 Hz Spiritual Detox',
+    description: 'Linked to the throat chakra, clarity and self-expression.',
+    color: 'from-cyan-500/20 to-primary/20'
+  },
+  {
+    hz: 852,
+    name: '852 Hz Intuition',
+    description: 'Associated with the third eye and a return to inner order.',
+    color: 'from-indigo-500/20 to-primary/20'
+  },
+  {
+    hz: 963,
+    name: '963 Hz Divine Connection',
+    description: 'The crown chakra tone, for stillness and a sense of oneness.',
+    color: 'from-purple-500/20 to-primary/20'
+  }
+]
+
+export const getSolfeggioTone = (hz) => SOLFEGGIO_TONES.find(tone => tone.hz === hz) || null
+
+export const SOLFEGGIO_TIMBRES = [
+  { id: 'pure', name: 'Pure', description: 'A single sine wave' },
+  { id: 'pad', name: 'Harmonic pad', description: 'Soft overtones with a slow shimmer' }
+]
+
+// Relative level of each harmonic in the pad. Odd and even partials fall
+// away quickly so the fundamental stays clearly the pitch you hear.
+const PAD_PARTIALS = [1, 0.35, 0.15, 0.07]
+const PAD_DETUNE_CENTS = 4
+
+/**
+ * A steady solfeggio tone at `frequency` hertz, either a pure sine or a pad
+ * of detuned harmonics. Same controls as a brainwave tone; starts silent,
+ * call fadeIn once created.
+ */
+export const createSolfeggioTone = ({
+  ctx = getAudioContext(),
+  destination = ctx.destination,
+  frequency,
+  timbre = 'pure',
+  volume = 0.5
+}) => {
+  const output = ctx.createGain()
+  output.gain.value = 0
+  output.connect(destination)
+
+  const oscillators = []
+  const addOscillator = (hz, detune, level) => {
+    const gain = ctx.createGain()
+    gain.gain.value = level
+    gain.connect(output)
+    const oscillator = ctx.createOscillator()
+    oscillator.type = 'sine'
+    oscillator.frequency.value = hz
+    oscillator.detune.value = detune
+    oscillator.connect(gain)
+    oscillator.start()
+    oscillators.push(oscillator)
+  }
+
+  if (timbre === 'pad') {
+    // Each partial is a pair detuned either side, so they beat gently
+    // against each other; the sum is normalised back to unit level
+    const total = PAD_PARTIALS.reduce((sum, level) => sum + level, 0)
+    PAD_PARTIALS.forEach((level, index) => {
+      const hz = frequency * (index + 1)
+      addOscillator(hz, -PAD_DETUNE_CENTS, level / total / 2)
+      addOscillator(hz, PAD_DETUNE_CENTS, level / total / 2)
+    })
+  } else {
+    addOscillator(frequency, 0, 1)
+  }
+  oscillators[0].onended = () => output.disconnect()
+
+  let level = volume
+
+  return {
+    fadeIn(seconds = 2) {
+      rampParam(ctx, output.gain, level * MAX_TONE_GAIN, seconds)
+    },
+
+    setVolume(value, seconds = 0.1) {
+      level = value
+      rampParam(ctx, output.gain, level * MAX_TONE_GAIN, seconds)
+    },
+
+    stop(seconds = 1) {
+      rampParam(ctx, output.gain, 0, seconds)
+      const end = ctx.currentTime + seconds + 0.05
+      oscillators.forEach(oscillator => oscillator.stop(end))
+    }
+  }
+}
@@ -0,0 +1,53 @@
+import { getAudioContext, rampParam } from './context'
+import { loadAudioBuffer } from './buffers'
+
+/**
+ * A looping ambient recording routed through its own gain into the mix.
+ * Plays from a decoded AudioBuffer, which loops sample-accurately where a
+ * looping media element leaves a gap and a click. Starts silent; fades to
+ * its volume on play and out again on stop.
+ */
+export const createLoopLayer = ({
+  ctx = getAudioContext(),
+  destination = ctx.destination,
+  src,
+  volume = 0.5,
+  fadeSeconds = 1.5
+}) => {
+  const gain = ctx.createGain()
+  gain.gain.value = 0
+  gain.connect(destination)
+
+  let level = volume
+  let source = null
+  let stopped = false
+
+  return {
+    // Resolves once the loop is sounding; rejects if it could not be loaded
+    async play(seconds = fadeSeconds) {
+      const buffer = await loadAudioBuffer(src, ctx)
+      if (stopped) return
+
+      source = ctx.createBufferSource()
+      source.buffer = buffer
+      source.loop = true
+      source.connect(gain)
+      source.onended = () => gain.disconnect()
+      source.start()
+      rampParam(ctx, gain.gain, level, seconds)
+    },
+
+    setVolume(value, seconds = 0.1) {
+      level = value
+      rampParam(ctx, gain.gain, level, seconds)
+    },
+
+    // Fade out, then let the source go
+    stop(seconds = fadeSeconds) {
+      stopped = true
+      rampParam(ctx, gain.gain, 0, seconds)
+      if (source) source.stop(ctx.currentTime + seconds + 0.05)
+      else gain.disconnect()
+    }
+  }
+}
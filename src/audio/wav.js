@@ -0,0 +1,58 @@
+// Minimal RIFF/WAVE writing for uncompressed PCM
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i))
+}
+
+export const WAV_HEADER_BYTES = 44
+
+// Fill the 44-byte header at the start of `view` for `dataBytes` of samples
+export const writeWavHeader = (view, { sampleRate, channels, bitsPerSample, dataBytes }) => {
+  const blockAlign = channels * (bitsPerSample / 8)
+  writeString(view, 0, 'RIFF')
+  view.setUint32(4, 36 + dataBytes, true)
+  writeString(view, 8, 'WAVE')
+  writeString(view, 12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, channels, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true) // byte rate
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, bitsPerSample, true)
+  writeString(view, 36, 'data')
+  view.setUint32(40, dataBytes, true)
+}
+
+// Size of a 16-bit WAV, for warning before a long render
+export const getWavBytes = ({ seconds, sampleRate, channels }) =>
+  WAV_HEADER_BYTES + Math.round(seconds * sampleRate) * channels * 2
+
+// Frames converted at a time, so encoding never needs a second buffer the
+// size of the whole file
+const CHUNK_FRAMES = 65536
+
+// A 16-bit WAV of a rendered AudioBuffer, channels interleaved
+export const encodeWav = (buffer) => {
+  const { numberOfChannels: channels, length, sampleRate } = buffer
+  const header = new DataView(new ArrayBuffer(WAV_HEADER_BYTES))
+  writeWavHeader(header, { sampleRate, channels, bitsPerSample: 16, dataBytes: length * channels * 2 })
+
+  const channelData = Array.from({ length: channels }, (_, i) => buffer.getChannelData(i))
+  const parts = [header]
+  for (let start = 0; start < length; start += CHUNK_FRAMES) {
+    const end = Math.min(start + CHUNK_FRAMES, length)
+    const view = new DataView(new ArrayBuffer((end - start) * channels * 2))
+    let offset = 0
+    for (let i = start; i < end; i++) {
+      for (let c = 0; c < channels; c++) {
+        const sample = Math.max(-1, Math.min(1, channelData[c][i]))
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true)
+        offset += 2
+      }
+    }
+    parts.push(view)
+  }
+
+  return new Blob(parts, { type: 'audio/wav' })
+}
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef } from 'react'
+import usePrefersReducedMotion from '../hooks/usePrefersReducedMotion'
+
+const VARIANTS = [
+  { id: 'waveform', name: 'Waveform' },
+  { id: 'mandala', name: 'Mandala' }
+]
+
+const PRIMARY_RGB = '0, 213, 176'
+const PETALS = 8
+const MANDALA_BINS = 96
+// Calm mode redraws ten times a second and eases towards the level
+const CALM_FRAME_MS = 100
+
+// Tones and narration sit well below full scale, so boost what is drawn
+const DISPLAY_GAIN = 4
+
+const rootMeanSquare = (samples) => {
+  let sum = 0
+  for (let i = 0; i < samples.length; i++) {
+    const value = (samples[i] - 128) / 128
+    sum += value * value
+  }
+  return Math.sqrt(sum / samples.length)
+}
+
+const drawWaveform = (g, width, height, samples) => {
+  g.lineWidth = 2 * (window.devicePixelRatio || 1)
+  g.strokeStyle = `rgb(${PRIMARY_RGB})`
+  g.beginPath()
+  for (let x = 0; x < width; x++) {
+    const value = (samples[Math.floor((x / width) * samples.length)] - 128) / 128
+    const offset = Math.max(-1, Math.min(1, value * DISPLAY_GAIN))
+    const y = height / 2 + offset * (height / 2 - 4)
+    if (x === 0) g.moveTo(x, y)
+    else g.lineTo(x, y)
+  }
+  g.stroke()
+}
+
+// A closed polar curve: each petal mirrors the low end of the spectrum
+const drawMandala = (g, width, height, bins, rotation) => {
+  const centerX = width / 2
+  const centerY = height / 2
+  const radius = Math.min(width, height) / 2
+  const segment = (Math.PI * 2) / PETALS
+  const drawRing = (inner, outer, turn, alpha) => {
+    g.beginPath()
+    for (let step = 0; step <= 360; step++) {
+      const angle = (step / 360) * Math.PI * 2
+      const t = (angle % segment) / segment
+      const mirrored = t < 0.5 ? t * 2 : (1 - t) * 2
+      const value = bins[Math.floor(mirrored * (MANDALA_BINS - 1))] / 255
+      const r = radius * (inner + value * (outer - inner))
+      const x = centerX + Math.cos(angle + turn) * r
+      const y = centerY + Math.sin(angle + turn) * r
+      if (step === 0) g.moveTo(x, y)
+      else g.lineTo(x, y)
+    }
+    g.closePath()
+    g.fillStyle = `rgba(${PRIMARY_RGB}, ${alpha / 3})`
+    g.strokeStyle = `rgba(${PRIMARY_RGB}, ${alpha})`
+    g.fill()
+    g.stroke()
+  }
+  g.lineWidth = window.devicePixelRatio || 1
+  drawRing(0.35, 0.95, rotation, 0.8)
+  drawRing(0.15, 0.55, -rotation + segment / 2, 0.5)
+}
+
+// A soft glow that swells gently with the level
+const drawCalm = (g, width, height, level) => {
+  const radius = Math.min(width, height) / 2
+  const size = radius * (0.45 + Math.min(1, level * DISPLAY_GAIN) * 0.45)
+  const glow = g.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, size)
+  glow.addColorStop(0, `rgba(${PRIMARY_RGB}, 0.45)`)
+  glow.addColorStop(1, `rgba(${PRIMARY_RGB}, 0)`)
+  g.fillStyle = glow
+  g.beginPath()
+  g.arc(width / 2, height / 2, size, 0, Math.PI * 2)
+  g.fill()
+}
+
+/**
+ * Draws what an AnalyserNode hears, as a waveform or a mandala. Calm mode,
+ * on by default when the OS asks for reduced motion, swaps both for a slow
+ * glow. Animates only while `active`.
+ */
+const AudioVisualizer = ({ analyser, active, height = 160 }) => {
+  const canvasRef = useRef(null)
+  const reducedMotion = usePrefersReducedMotion()
+  const [variant, setVariant] = useState('waveform')
+  const [calmChoice, setCalmChoice] = useState(null) // null follows the OS setting
+  const calm = calmChoice ?? reducedMotion
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !analyser) return
+
+    const g = canvas.getContext('2d')
+    const timeData = new Uint8Array(analyser.fftSize)
+    const frequencyData = new Uint8Array(analyser.frequencyBinCount)
+    let frame = null
+    let lastDraw = -Infinity
+    let level = 0
+
+    const render = (time) => {
+      frame = active ? requestAnimationFrame(render) : null
+      if (calm && time - lastDraw < CALM_FRAME_MS) return
+      lastDraw = time
+
+      const ratio = window.devicePixelRatio || 1
+      const width = Math.round(canvas.clientWidth * ratio)
+      const canvasHeight = Math.round(canvas.clientHeight * ratio)
+      if (canvas.width !== width || canvas.height !== canvasHeight) {
+        canvas.width = width
+        canvas.height = canvasHeight
+      }
+      g.clearRect(0, 0, width, canvasHeight)
+
+      if (calm) {
+        analyser.getByteTimeDomainData(timeData)
+        level += (rootMeanSquare(timeData) - level) * 0.15
+        drawCalm(g, width, canvasHeight, level)
+      } else if (variant === 'mandala') {
+        analyser.getByteFrequencyData(frequencyData)
+        drawMandala(g, width, canvasHeight, frequencyData, time / 20000)
+      } else {
+        analyser.getByteTimeDomainData(timeData)
+        drawWaveform(g, width, canvasHeight, timeData)
+      }
+    }
+
+    frame = requestAnimationFrame(render)
+    return () => cancelAnimationFrame(frame)
+  }, [analyser, active, variant, calm])
+
+  const pillClass = (selected) => `px-3 py-1 rounded-full text-xs transition-all ${
+    selected
+      ? 'bg-primary text-dark-300'
+      : 'bg-dark-300/60 text-gray-400 hover:text-primary'
+  }`
+
+  return (
+    <div className="space-y-3">
+      <canvas
+        ref={canvasRef}
+        className="w-full rounded-2xl bg-dark-300/40"
+        style={{ height }}
+        aria-hidden="true"
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        {VARIANTS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setVariant(option.id)}
+            disabled={calm}
+            aria-pressed={variant === option.id}
+            className={`${pillClass(!calm && variant === option.id)} disabled:opacity-50`}
+          >
+            {option.name}
+          </button>
+        ))}
+        <button
+          onClick={() => setCalmChoice(!calm)}
+          aria-pressed={calm}
+          title="A slow glow instead of moving shapes"
+          className={`${pillClass(calm)} ml-auto`}
+        >
+          Calm
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default AudioVisualizer
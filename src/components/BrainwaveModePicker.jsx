@@ -0,0 +1,57 @@
+import React from 'react'
+import { BRAINWAVE_MODES, getBrainwaveMode, playChannelCheck } from '../audio/brainwaves'
+import { resumeAudioContext } from '../audio/context'
+
+const BrainwaveModePicker = ({ mode, onChange }) => {
+  const current = getBrainwaveMode(mode)
+
+  const checkChannel = async (side) => {
+    const ctx = await resumeAudioContext()
+    playChannelCheck(side, { ctx })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Tone mode">
+        {BRAINWAVE_MODES.map(option => (
+          <button
+            key={option.id}
+            onClick={() => onChange(option.id)}
+            role="radio"
+            aria-checked={mode === option.id}
+            title={option.description}
+            className={`px-4 py-1.5 rounded-full text-sm transition-all ${
+              mode === option.id
+                ? 'bg-primary text-dark-300'
+                : 'bg-dark-300/60 text-gray-400 hover:text-primary'
+            }`}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-500">{current.description}</p>
+
+      {current.needsHeadphones && (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="text-primary">🎧 Headphones recommended</span>
+          <span className="text-gray-500">Check channels:</span>
+          <button
+            onClick={() => checkChannel('left')}
+            className="px-3 py-1 rounded-full bg-dark-300/60 text-gray-400 hover:text-primary transition-colors"
+          >
+            Left
+          </button>
+          <button
+            onClick={() => checkChannel('right')}
+            className="px-3 py-1 rounded-full bg-dark-300/60 text-gray-400 hover:text-primary transition-colors"
+          >
+            Right
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BrainwaveModePicker
@@ -0,0 +1,53 @@
+import React, { useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { PHASE_KINDS } from '../utils/breathing'
+import { playBreathCue, vibrateBreathCue } from '../audio/cues'
+import useBreathingPacer from '../hooks/useBreathingPacer'
+
+const BreathingPacer = ({ pattern, running, soundCues = true, haptics = false, size = 260 }) => {
+  const handlePhaseChange = useCallback((phase) => {
+    if (soundCues) playBreathCue(phase.kind)
+    if (haptics) vibrateBreathCue(phase.kind)
+  }, [soundCues, haptics])
+
+  const { phase, phaseIndex, phaseElapsed, phaseRemaining, cycles } = useBreathingPacer({
+    pattern,
+    running,
+    onPhaseChange: handlePhaseChange
+  })
+
+  const kind = PHASE_KINDS[phase.kind]
+  const progress = phase.seconds ? phaseElapsed / phase.seconds : 0
+  const currentScale = kind.from + (kind.to - kind.from) * progress
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="relative flex items-center justify-center" style={{ width: size, height: size }}>
+        <div className="absolute inset-0 rounded-full border border-primary/20" />
+        <motion.div
+          key={running ? `${cycles}-${phaseIndex}` : 'paused'}
+          className="absolute inset-0 rounded-full bg-gradient-to-br from-primary/60 to-primary/10 shadow-[0_0_60px_rgba(0,213,176,0.35)]"
+          initial={{ scale: currentScale }}
+          animate={{ scale: running ? kind.to : currentScale }}
+          transition={{
+            duration: running ? phaseRemaining : 0.3,
+            ease: 'easeInOut'
+          }}
+        />
+        <div className="relative z-10 text-center">
+          <p className="text-2xl font-semibold text-white">{running ? kind.label : cycles || phaseElapsed ? 'Paused' : 'Ready'}</p>
+          {running && (
+            <p className="text-4xl font-light text-white tabular-nums mt-1">
+              {Math.ceil(phaseRemaining)}
+            </p>
+          )}
+        </div>
+      </div>
+      <p className="text-gray-400 mt-6 text-sm">
+        {cycles} {cycles === 1 ? 'cycle' : 'cycles'} completed
+      </p>
+    </div>
+  )
+}
+
+export default BreathingPacer
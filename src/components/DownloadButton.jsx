@@ -0,0 +1,54 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+
+// Download / downloading / downloaded toggle. A downloaded item is removed
+// from the device when pressed again.
+const DownloadButton = ({ status, progress, onDownload, onRemove, className = '' }) => {
+  const label = {
+    idle: 'Download for offline use',
+    downloading: 'Downloading',
+    downloaded: 'Remove download'
+  }[status]
+
+  return (
+    <motion.button
+      onClick={status === 'downloaded' ? onRemove : onDownload}
+      disabled={status === 'downloading'}
+      className={`relative p-2 rounded-full transition-colors disabled:cursor-wait ${
+        status === 'downloaded' ? 'text-primary' : 'text-gray-300 hover:text-primary'
+      } ${className}`}
+      whileHover={{ scale: 1.1 }}
+      whileTap={{ scale: 0.9 }}
+      aria-label={label}
+      title={label}
+    >
+      {status === 'downloading' ? (
+        <svg className="w-5 h-5 -rotate-90" viewBox="0 0 20 20">
+          <circle cx="10" cy="10" r="8" fill="none" stroke="currentColor" strokeOpacity="0.25" strokeWidth="2" />
+          <circle
+            cx="10"
+            cy="10"
+            r="8"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            strokeLinecap="round"
+            strokeDasharray={2 * Math.PI * 8}
+            strokeDashoffset={2 * Math.PI * 8 * (1 - (progress ?? 0.25))}
+            className={progress === null ? 'animate-spin origin-center' : ''}
+          />
+        </svg>
+      ) : status === 'downloaded' ? (
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12.75L11.25 15 15 9.75M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+      ) : (
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
+        </svg>
+      )}
+    </motion.button>
+  )
+}
+
+export default DownloadButton
@@ -20,6 +20,7 @@ const Footer = () => {
     ],
     features: [
       { name: 'Meditation', path: '/meditation' },
+      { name: 'Breathwork', path: '/breathwork' },
       { name: 'Sound Healing', path: '/sound-healing' },
       { name: 'Divine Chat', path: '/divine-chat' },
       { name: 'Profile', path: '/profile' }
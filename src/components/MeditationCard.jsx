@@ -0,0 +1,125 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { formatClock } from '../utils/time'
+import DownloadButton from './DownloadButton'
+
+const MeditationCard = ({
+  meditation,
+  resumePosition,
+  isFavorite = false,
+  onToggleFavorite,
+  downloadStatus = 'idle',
+  downloadProgress,
+  onDownload,
+  onRemoveDownload,
+  onBegin,
+  onResume,
+  onStartOver
+}) => {
+  const [imageFailed, setImageFailed] = useState(false)
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, scale: 0.9 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.9 }}
+      transition={{ duration: 0.3 }}
+      className="bg-dark-100 rounded-2xl overflow-hidden border border-primary/20 hover:border-primary/40 transition-all"
+    >
+      <div className="relative aspect-video bg-gradient-to-br from-primary/30 via-dark-200 to-dark-300">
+        {meditation.image && !imageFailed && (
+          <img 
+            src={meditation.image} 
+            alt={meditation.title}
+            className="w-full h-full object-cover"
+            onError={() => setImageFailed(true)}
+          />
+        )}
+        <div className="absolute inset-0 bg-gradient-to-t from-dark-100 to-transparent opacity-60" />
+        <div className="absolute top-4 right-4 bg-dark-300/80 backdrop-blur-sm px-4 py-1 rounded-full text-primary text-sm">
+          {meditation.durationMinutes} min
+        </div>
+        <div className="absolute top-4 left-4 bg-dark-300/80 backdrop-blur-sm px-4 py-1 rounded-full text-primary text-sm">
+          {meditation.levelLabel}
+        </div>
+        {onDownload && meditation.audioUrl && (
+          <DownloadButton
+            status={downloadStatus}
+            progress={downloadProgress}
+            onDownload={() => onDownload(meditation)}
+            onRemove={() => onRemoveDownload(meditation)}
+            className="absolute bottom-4 left-4 bg-dark-300/80 backdrop-blur-sm"
+          />
+        )}
+        {onToggleFavorite && (
+          <motion.button
+            onClick={() => onToggleFavorite(meditation)}
+            className={`absolute bottom-4 right-4 p-2 rounded-full bg-dark-300/80 backdrop-blur-sm transition-colors ${
+              isFavorite ? 'text-red-400' : 'text-gray-300 hover:text-red-400'
+            }`}
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            aria-label={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+            aria-pressed={isFavorite}
+          >
+            <svg className="w-5 h-5" viewBox="0 0 24 24" fill={isFavorite ? 'currentColor' : 'none'} stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12z" />
+            </svg>
+          </motion.button>
+        )}
+      </div>
+      <div className="p-6">
+        <div className="flex items-center gap-2 text-gray-400 text-sm mb-2">
+          {meditation.instructor && (
+            <>
+              <span>with {meditation.instructor}</span>
+              <span>•</span>
+            </>
+          )}
+          <span>{meditation.type}</span>
+        </div>
+        <h3 className="text-2xl font-semibold text-white mb-2">{meditation.title}</h3>
+        <p className="text-gray-400 mb-4">{meditation.description}</p>
+        {resumePosition > 0 ? (
+          <div className="flex gap-2">
+            <motion.button
+              onClick={() => onResume(meditation)}
+              className="flex-1 flex items-center justify-center space-x-2 text-dark-300 bg-primary hover:bg-primary/90 px-4 py-3 rounded-full transition-colors font-medium"
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              <span>Resume from {formatClock(resumePosition)}</span>
+            </motion.button>
+            <motion.button
+              onClick={() => onStartOver(meditation)}
+              className="px-4 py-3 rounded-full text-white bg-primary/20 hover:bg-primary/30 transition-colors"
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              aria-label="Start from the beginning"
+              title="Start from the beginning"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+            </motion.button>
+          </div>
+        ) : (
+          <motion.button
+            onClick={() => onBegin(meditation)}
+            className="w-full flex items-center justify-center space-x-2 text-white bg-primary/20 hover:bg-primary/30 px-4 py-3 rounded-full transition-colors"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <span>Begin Meditation</span>
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+          </motion.button>
+        )}
+      </div>
+    </motion.div>
+  )
+}
+
+export default MeditationCard
@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useRef } from 'react'
+import toast from 'react-hot-toast'
+import { renderMix, RENDER_SAMPLE_RATE, RENDER_CHANNELS, MAX_RENDER_MINUTES } from '../audio/render'
+import { encodeWav, getWavBytes } from '../audio/wav'
+import { getProgramMinutes } from '../utils/sessionPrograms'
+
+const LENGTH_OPTIONS = [5, 10, 15, 20].filter(minutes => minutes <= MAX_RENDER_MINUTES)
+// Past this a render takes a while and a lot of memory on a phone
+const LARGE_FILE_BYTES = 100 * 1024 * 1024
+
+const toFileName = (title, minutes) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return `nirvaha-${slug || 'mix'}-${minutes}min.wav`
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Renders the current mix to a WAV file for other players. `getSettings`
+ * returns the mix as saved in presets; a `program` takes the place of its
+ * tone and need not be playing.
+ */
+const MixExport = ({ title, getSettings, program, fades, disabled }) => {
+  const programMinutes = program ? getProgramMinutes(program.keyframes) : 0
+  const [lengthChoice, setLengthChoice] = useState(null)
+  const [progress, setProgress] = useState(null) // 0..1 while rendering
+  const abortRef = useRef(null)
+
+  // A program defaults to its own length, up to the render limit
+  const fullProgram = programMinutes > 0 && programMinutes <= MAX_RENDER_MINUTES ? programMinutes : null
+  const minutes = Math.min(lengthChoice ?? (programMinutes || 10), MAX_RENDER_MINUTES)
+  const options = [...new Set([...LENGTH_OPTIONS, fullProgram, minutes].filter(Boolean))]
+    .sort((a, b) => a - b)
+  const bytes = getWavBytes({ seconds: minutes * 60, sampleRate: RENDER_SAMPLE_RATE, channels: RENDER_CHANNELS })
+  const megabytes = Math.round(bytes / (1024 * 1024))
+  const rendering = progress !== null
+
+  // Abandon a render in progress when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const handleRender = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setProgress(0)
+
+    try {
+      const buffer = await renderMix({
+        settings: getSettings(),
+        program,
+        seconds: minutes * 60,
+        fades,
+        onProgress: setProgress,
+        signal: controller.signal
+      })
+      // Let the finished progress bar paint before encoding holds the page
+      await new Promise(resolve => setTimeout(resolve, 50))
+      downloadBlob(encodeWav(buffer), toFileName(program ? program.name : title, minutes))
+      toast.success('Your WAV file is ready')
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error rendering mix:', error)
+        toast.error('Could not render this mix')
+      }
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <span className="text-gray-400 text-sm">Download as WAV</span>
+      <div className="flex items-center gap-3">
+        <select
+          value={minutes}
+          onChange={(e) => setLengthChoice(Number(e.target.value))}
+          disabled={rendering}
+          aria-label="Length of the file"
+          className="flex-1 px-3 py-2 rounded-full text-sm bg-dark-300 text-white border border-primary/20 focus:border-primary focus:outline-none"
+        >
+          {options.map(option => (
+            <option key={option} value={option}>
+              {option} min{option === fullProgram ? ' (whole program)' : ''}
+            </option>
+          ))}
+        </select>
+        <span className="text-gray-500 text-sm tabular-nums">~{megabytes} MB</span>
+      </div>
+
+      {programMinutes > MAX_RENDER_MINUTES && (
+        <p className="text-gray-500 text-sm">
+          Files are limited to {MAX_RENDER_MINUTES} min, so only the start of this {programMinutes} min program is saved.
+        </p>
+      )}
+
+      {bytes > LARGE_FILE_BYTES && !rendering && (
+        <p className="text-yellow-500 text-sm">
+          That's a large file. It can take a while to render and may not fit in memory on older phones.
+        </p>
+      )}
+
+      {rendering ? (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">
+              {progress < 1 ? `Rendering… ${Math.round(progress * 100)}%` : 'Saving file…'}
+            </span>
+            <button
+              onClick={() => abortRef.current?.abort()}
+              disabled={progress >= 1}
+              className="text-gray-400 hover:text-red-400 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+          </div>
+          <div className="h-2 bg-dark-300 rounded-full overflow-hidden">
+            <div className="h-full bg-primary transition-all" style={{ width: `${progress * 100}%` }} />
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={handleRender}
+          disabled={disabled}
+          className="w-full px-4 py-2 rounded-full text-sm bg-dark-300/60 text-gray-300 hover:text-primary transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ⬇️ Render {program ? 'program' : 'mix'} to WAV
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default MixExport
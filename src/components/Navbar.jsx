@@ -14,6 +14,7 @@ const Navbar = () => {
     { name: 'Home', path: '/' },
     { name: 'Zen Chat', path: '/divine-chat' },
     { name: 'Meditation', path: '/meditation' },
+    { name: 'Breathwork', path: '/breathwork' },
     { name: 'Sound Healing', path: '/sound-healing' },
     { name: 'About', path: '/about' },
     { name: 'Contact', path: '/contact' },
@@ -0,0 +1,139 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+
+const PlaylistPanel = ({ playlist, meditationsById, catalogue, onPlay, onRename, onDelete, onChangeItems }) => {
+  const [name, setName] = useState(playlist.name)
+  const items = playlist.meditationIds
+    .map((id, index) => ({ index, meditation: meditationsById[id] }))
+    .filter(item => item.meditation)
+  const totalMinutes = items.reduce((total, item) => total + item.meditation.durationMinutes, 0)
+
+  const move = (index, offset) => {
+    const next = [...playlist.meditationIds]
+    const [moved] = next.splice(index, 1)
+    next.splice(index + offset, 0, moved)
+    onChangeItems(playlist, next)
+  }
+
+  const remove = (index) => {
+    onChangeItems(playlist, playlist.meditationIds.filter((_, i) => i !== index))
+  }
+
+  const add = (e) => {
+    const meditationId = parseInt(e.target.value, 10)
+    if (!meditationId) return
+    onChangeItems(playlist, [...playlist.meditationIds, meditationId])
+    e.target.value = ''
+  }
+
+  const commitName = () => {
+    const trimmed = name.trim()
+    if (!trimmed) {
+      setName(playlist.name)
+    } else if (trimmed !== playlist.name) {
+      onRename(playlist, trimmed)
+    }
+  }
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      className="bg-dark-100 rounded-2xl p-6 border border-primary/20"
+    >
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          maxLength={80}
+          aria-label="Playlist name"
+          className="flex-1 min-w-0 bg-transparent text-2xl font-semibold text-white border-b border-transparent hover:border-primary/20 focus:border-primary focus:outline-none"
+        />
+        <span className="text-gray-400 text-sm">
+          {items.length} {items.length === 1 ? 'meditation' : 'meditations'} • {totalMinutes} min
+        </span>
+        <motion.button
+          onClick={() => onPlay(playlist)}
+          disabled={items.length === 0}
+          className="px-6 py-2 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          Play All
+        </motion.button>
+        <button
+          onClick={() => onDelete(playlist)}
+          className="p-2 rounded-full text-gray-400 hover:text-red-400 transition-colors"
+          aria-label="Delete playlist"
+        >
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+          </svg>
+        </button>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-gray-500 mb-4">Add meditations below to build this playlist.</p>
+      ) : (
+        <ol className="space-y-2 mb-4">
+          {items.map(({ index, meditation }, position) => (
+            <li key={`${index}-${meditation.id}`} className="flex items-center gap-3 bg-dark-200 rounded-xl px-4 py-3">
+              <span className="text-primary w-6 tabular-nums">{position + 1}</span>
+              <span className="flex-1 text-white">{meditation.title}</span>
+              <span className="text-gray-400 text-sm">{meditation.durationMinutes} min</span>
+              <button
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="p-1 text-gray-400 hover:text-primary disabled:opacity-30 transition-colors"
+                aria-label="Move up"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === playlist.meditationIds.length - 1}
+                className="p-1 text-gray-400 hover:text-primary disabled:opacity-30 transition-colors"
+                aria-label="Move down"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => remove(index)}
+                className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                aria-label="Remove from playlist"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <select
+        defaultValue=""
+        onChange={add}
+        aria-label="Add a meditation"
+        className="bg-dark-200 text-gray-300 rounded-full px-4 py-2 border-none focus:outline-none focus:ring-2 focus:ring-primary"
+      >
+        <option value="" disabled>+ Add a meditation</option>
+        {catalogue.map(meditation => (
+          <option key={meditation.id} value={meditation.id}>
+            {meditation.title} ({meditation.durationMinutes} min)
+          </option>
+        ))}
+      </select>
+    </motion.div>
+  )
+}
+
+export default PlaylistPanel
@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { BRAINWAVE_BANDS } from '../audio/brainwaves'
+import {
+  PROGRAM_LIMITS,
+  DEFAULT_PROGRAM,
+  normalizeKeyframes,
+  getProgramMinutes,
+  getProgramValues,
+  getBandForBeat,
+  fetchPrograms,
+  saveProgram,
+  deleteProgram
+} from '../utils/sessionPrograms'
+import { PREVIEW_SECONDS } from '../hooks/useProgramPlayer'
+import BrainwaveModePicker from './BrainwaveModePicker'
+import MixExport from './MixExport'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 200
+const PADDING = 24
+
+// Beats span two orders of magnitude, so the chart's beat axis is logarithmic
+const beatToY = (beat) => {
+  const { minBeat, maxBeat } = PROGRAM_LIMITS
+  const ratio = Math.log(beat / minBeat) / Math.log(maxBeat / minBeat)
+  return CHART_HEIGHT - PADDING - ratio * (CHART_HEIGHT - PADDING * 2)
+}
+
+const yToBeat = (y) => {
+  const { minBeat, maxBeat } = PROGRAM_LIMITS
+  const ratio = (CHART_HEIGHT - PADDING - y) / (CHART_HEIGHT - PADDING * 2)
+  return minBeat * Math.pow(maxBeat / minBeat, ratio)
+}
+
+const volumeToY = (volume) => CHART_HEIGHT - PADDING - volume * (CHART_HEIGHT - PADDING * 2)
+
+// Beat (solid) and volume (dashed) over time on top of the band zones.
+// Clicking an empty spot adds a keyframe there.
+const ProgramTimeline = ({ keyframes, playhead, onAdd }) => {
+  const totalMinutes = Math.max(getProgramMinutes(keyframes), 1)
+  const minuteToX = (minute) => PADDING + (minute / totalMinutes) * (CHART_WIDTH - PADDING * 2)
+
+  const handleClick = (e) => {
+    const box = e.currentTarget.getBoundingClientRect()
+    const x = ((e.clientX - box.left) / box.width) * CHART_WIDTH
+    const y = ((e.clientY - box.top) / box.height) * CHART_HEIGHT
+    const minute = Math.round(((x - PADDING) / (CHART_WIDTH - PADDING * 2)) * totalMinutes)
+    if (minute <= 0 || minute >= totalMinutes) return
+    onAdd({
+      minute,
+      beat: Math.round(yToBeat(y) * 2) / 2,
+      volume: Math.round(getProgramValues(keyframes, minute).volume * 100) / 100
+    })
+  }
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full rounded-2xl bg-dark-300/40 cursor-crosshair"
+      onClick={handleClick}
+      role="img"
+      aria-label="Program timeline"
+    >
+      {Object.entries(BRAINWAVE_BANDS).map(([id, band]) => (
+        <g key={id}>
+          <rect
+            x={PADDING}
+            y={beatToY(band.max)}
+            width={CHART_WIDTH - PADDING * 2}
+            height={beatToY(band.min) - beatToY(band.max)}
+            fill="rgba(0, 213, 176, 0.06)"
+          />
+          <text x={CHART_WIDTH - PADDING - 4} y={beatToY(band.max) + 12} textAnchor="end" className="fill-gray-500 text-[10px] capitalize">
+            {id}
+          </text>
+        </g>
+      ))}
+      <polyline
+        points={keyframes.map(frame => `${minuteToX(frame.minute)},${volumeToY(frame.volume)}`).join(' ')}
+        fill="none"
+        stroke="rgba(156, 163, 175, 0.6)"
+        strokeWidth="1.5"
+        strokeDasharray="4 4"
+      />
+      <polyline
+        points={keyframes.map(frame => `${minuteToX(frame.minute)},${beatToY(frame.beat)}`).join(' ')}
+        fill="none"
+        stroke="#00D5B0"
+        strokeWidth="2.5"
+      />
+      {keyframes.map((frame, index) => (
+        <circle key={index} cx={minuteToX(frame.minute)} cy={beatToY(frame.beat)} r="5" fill="#00D5B0" />
+      ))}
+      {playhead !== null && (
+        <line
+          x1={minuteToX(playhead)}
+          x2={minuteToX(playhead)}
+          y1={PADDING / 2}
+          y2={CHART_HEIGHT - PADDING / 2}
+          stroke="white"
+          strokeWidth="1.5"
+        />
+      )}
+      <text x={PADDING} y={CHART_HEIGHT - 6} className="fill-gray-500 text-[10px]">0 min</text>
+      <text x={CHART_WIDTH - PADDING} y={CHART_HEIGHT - 6} textAnchor="end" className="fill-gray-500 text-[10px]">
+        {totalMinutes} min
+      </text>
+    </svg>
+  )
+}
+
+let nextRowKey = 0
+const withRowKeys = (keyframes) => keyframes.map(frame => ({ ...frame, key: nextRowKey++ }))
+
+// Rows are re-sorted after every edit, so they list the program in the order
+// it plays. Each row keeps its key, so focus follows a row that moves.
+const sortRows = (rows) => [...rows].sort((a, b) => (Number(a.minute) || 0) - (Number(b.minute) || 0))
+
+// Out-of-range values are clamped once the field is left rather than while
+// typing. Expects sorted rows.
+const clampRows = (rows) =>
+  normalizeKeyframes(rows).map((frame, index) => ({ ...frame, key: rows[index].key }))
+
+/**
+ * Editor for session programs: keyframes for beat frequency and volume on a
+ * timeline, with preview, playback and per-user saving. `player` comes from
+ * useProgramPlayer; `onStart(program, options)` and `onStop` let the page
+ * hand over from any tone already playing. The draft can also be rendered to
+ * a WAV file over the ambient layers from `getMixSettings`, without playing it.
+ */
+const ProgramBuilder = ({ userId, player, onStart, onStop, getMixSettings, fades }) => {
+  const [name, setName] = useState(DEFAULT_PROGRAM.name)
+  const [mode, setMode] = useState(DEFAULT_PROGRAM.mode)
+  const [keyframes, setKeyframes] = useState(() => withRowKeys(DEFAULT_PROGRAM.keyframes))
+  const [programs, setPrograms] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const normalized = normalizeKeyframes(keyframes)
+  const totalMinutes = getProgramMinutes(normalized)
+  const bandPath = normalized
+    .map(frame => getBandForBeat(frame.beat) || `${frame.beat} Hz`)
+    .filter((band, index, all) => band !== all[index - 1])
+    .join(' → ')
+
+  useEffect(() => {
+    if (!userId) return
+    let cancelled = false
+
+    const loadPrograms = async () => {
+      try {
+        const data = await fetchPrograms(userId)
+        if (!cancelled) setPrograms(data)
+      } catch (error) {
+        console.error('Error loading session programs:', error)
+      }
+    }
+
+    loadPrograms()
+    return () => { cancelled = true }
+  }, [userId])
+
+  const updateKeyframe = (key, changes) => {
+    setKeyframes(prev => sortRows(prev.map(frame => (frame.key === key ? { ...frame, ...changes } : frame))))
+  }
+
+  const removeKeyframe = (key) => {
+    setKeyframes(prev => clampRows(prev.filter(frame => frame.key !== key)))
+  }
+
+  const addKeyframe = (frame) => {
+    setKeyframes(prev => clampRows(sortRows([...prev, ...withRowKeys([frame])])))
+  }
+
+  const appendKeyframe = () => {
+    const last = normalized[normalized.length - 1]
+    addKeyframe({ ...last, minute: Math.min(last.minute + 5, PROGRAM_LIMITS.maxMinutes) })
+  }
+
+  const draft = {
+    name: name.trim() || 'Untitled program',
+    mode,
+    keyframes: normalized
+  }
+
+  const handleSave = async () => {
+    if (!name.trim()) return
+    setSaving(true)
+    try {
+      const saved = await saveProgram(userId, draft)
+      setPrograms(prev => [...prev.filter(p => p.id !== saved.id), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)))
+      toast.success(`Saved "${saved.name}"`)
+    } catch (error) {
+      console.error('Error saving session program:', error)
+      toast.error('Could not save this program')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleLoad = (program) => {
+    setName(program.name)
+    setMode(program.mode)
+    setKeyframes(withRowKeys(program.keyframes))
+  }
+
+  const handleDelete = async (program) => {
+    try {
+      await deleteProgram(program.id)
+      setPrograms(prev => prev.filter(p => p.id !== program.id))
+    } catch (error) {
+      console.error('Error deleting session program:', error)
+      toast.error('Could not delete this program')
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-1.5 rounded-lg bg-dark-300 text-white border border-primary/20 focus:border-primary focus:outline-none tabular-nums'
+
+  return (
+    <div className="bg-dark-100/50 backdrop-blur-lg rounded-3xl p-8 border border-primary/20 mb-16 space-y-6">
+      <div className="flex flex-wrap items-center gap-4">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={60}
+          aria-label="Program name"
+          className="flex-1 min-w-0 bg-transparent text-2xl font-semibold text-white border-b border-transparent hover:border-primary/20 focus:border-primary focus:outline-none"
+        />
+        <span className="text-gray-400 text-sm">{totalMinutes} min • {bandPath}</span>
+      </div>
+
+      <BrainwaveModePicker mode={mode} onChange={setMode} />
+
+      <div className="space-y-2">
+        <ProgramTimeline
+          keyframes={normalized}
+          playhead={player.playing ? player.position : null}
+          onAdd={addKeyframe}
+        />
+        <p className="text-gray-500 text-xs">
+          Solid line: beat frequency. Dashed line: volume. Click the timeline to add a keyframe.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-3 text-gray-400 text-sm">
+          <span>Minute</span>
+          <span>Beat (Hz)</span>
+          <span>Volume (%)</span>
+          <span className="w-9" />
+        </div>
+        {keyframes.map((frame, index) => (
+          <div
+            key={frame.key}
+            onBlur={() => setKeyframes(clampRows)}
+            className="grid grid-cols-[1fr_1fr_1fr_auto] gap-3 items-center"
+          >
+            <input
+              type="number"
+              min="0"
+              max={PROGRAM_LIMITS.maxMinutes}
+              value={frame.minute}
+              onChange={(e) => updateKeyframe(frame.key, { minute: e.target.value })}
+              disabled={index === 0}
+              aria-label={`Keyframe ${index + 1} minute`}
+              className={`${inputClass} disabled:opacity-50`}
+            />
+            <input
+              type="number"
+              min={PROGRAM_LIMITS.minBeat}
+              max={PROGRAM_LIMITS.maxBeat}
+              step="0.5"
+              value={frame.beat}
+              onChange={(e) => updateKeyframe(frame.key, { beat: e.target.value })}
+              aria-label={`Keyframe ${index + 1} beat frequency`}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={Math.round(frame.volume * 100)}
+              onChange={(e) => updateKeyframe(frame.key, { volume: e.target.value / 100 })}
+              aria-label={`Keyframe ${index + 1} volume`}
+              className={inputClass}
+            />
+            <button
+              onClick={() => removeKeyframe(frame.key)}
+              disabled={keyframes.length <= 2}
+              className="p-2 rounded-full text-gray-400 hover:text-red-400 transition-colors disabled:opacity-30 disabled:hover:text-gray-400"
+              aria-label={`Remove keyframe ${index + 1}`}
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={appendKeyframe}
+          className="px-4 py-1.5 rounded-full text-sm bg-dark-300/60 text-gray-400 hover:text-primary transition-colors"
+        >
+          + Add keyframe
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        {player.playing ? (
+          <>
+            <motion.button
+              onClick={onStop}
+              className="px-6 py-2 rounded-full bg-red-500 text-dark-300 font-medium hover:bg-red-600 transition-all"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              Stop
+            </motion.button>
+            <span className="text-gray-400 text-sm tabular-nums">
+              {player.preview ? 'Preview • ' : ''}
+              {Math.floor(player.position)} of {player.totalMinutes} min • {player.current.beat.toFixed(1)} Hz
+            </span>
+          </>
+        ) : (
+          <>
+            <motion.button
+              onClick={() => onStart(draft)}
+              disabled={totalMinutes <= 0}
+              className="px-6 py-2 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              Start program
+            </motion.button>
+            <button
+              onClick={() => onStart(draft, { preview: true })}
+              disabled={totalMinutes <= 0}
+              className="px-6 py-2 rounded-full bg-dark-300/60 text-gray-300 hover:text-primary transition-colors disabled:opacity-50"
+            >
+              Preview in {PREVIEW_SECONDS} s
+            </button>
+          </>
+        )}
+        {userId && (
+          <button
+            onClick={handleSave}
+            disabled={!name.trim() || saving}
+            className="ml-auto px-6 py-2 rounded-full border border-primary/40 text-primary hover:bg-primary/10 transition-colors disabled:opacity-50"
+          >
+            Save program
+          </button>
+        )}
+      </div>
+
+      <MixExport
+        title={draft.name}
+        getSettings={getMixSettings}
+        program={draft}
+        fades={fades}
+        disabled={totalMinutes <= 0}
+      />
+
+      {userId && programs.length > 0 && (
+        <div className="space-y-2">
+          <span className="text-gray-400 text-sm">Your programs</span>
+          <ul className="flex flex-wrap gap-2">
+            {programs.map(program => (
+              <li key={program.id} className="flex items-center rounded-full bg-dark-300/60">
+                <button
+                  onClick={() => handleLoad(program)}
+                  className="pl-4 pr-2 py-1.5 text-sm text-gray-300 hover:text-primary transition-colors"
+                >
+                  {program.name} • {getProgramMinutes(program.keyframes)} min
+                </button>
+                <button
+                  onClick={() => handleDelete(program)}
+                  className="pr-3 py-1.5 text-gray-500 hover:text-red-400 transition-colors"
+                  aria-label={`Delete ${program.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProgramBuilder
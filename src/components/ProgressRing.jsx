@@ -0,0 +1,40 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+
+const ProgressRing = ({ progress, size = 280, strokeWidth = 10, children }) => {
+  const radius = (size - strokeWidth) / 2
+  const circumference = 2 * Math.PI * radius
+  const clamped = Math.min(Math.max(progress, 0), 1)
+
+  return (
+    <div className="relative" style={{ width: size, height: size }}>
+      <svg width={size} height={size} className="-rotate-90">
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          fill="none"
+          strokeWidth={strokeWidth}
+          className="stroke-dark-100"
+        />
+        <motion.circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          fill="none"
+          strokeWidth={strokeWidth}
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          className="stroke-primary"
+          animate={{ strokeDashoffset: circumference * (1 - clamped) }}
+          transition={{ duration: 0.3, ease: 'linear' }}
+        />
+      </svg>
+      <div className="absolute inset-0 flex flex-col items-center justify-center">
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export default ProgressRing
@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { formatClock } from '../utils/time'
+
+const PRESET_MINUTES = [15, 30, 60]
+
+const SleepTimerControl = ({ timer, allowEndOfTrack = true }) => {
+  const [customMinutes, setCustomMinutes] = useState('')
+  const custom = parseInt(customMinutes, 10)
+  const customValid = Number.isInteger(custom) && custom > 0 && custom <= 600
+
+  const pillClass = (active) => `px-4 py-1.5 rounded-full text-sm transition-all ${
+    active
+      ? 'bg-primary text-dark-300'
+      : 'bg-dark-300 text-gray-400 hover:text-primary'
+  }`
+
+  const applyCustom = (e) => {
+    e.preventDefault()
+    if (!customValid) return
+    timer.start(custom)
+    setCustomMinutes('')
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-400">Sleep timer</span>
+        {timer.setting !== null && (
+          <span className="text-primary tabular-nums">
+            {timer.fading
+              ? 'Fading out...'
+              : timer.remaining !== null
+                ? `Stops in ${formatClock(timer.remaining)}`
+                : 'Stops at end of track'}
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <button onClick={timer.cancel} className={pillClass(timer.setting === null)}>
+          Off
+        </button>
+        {PRESET_MINUTES.map(minutes => (
+          <button
+            key={minutes}
+            onClick={() => timer.start(minutes)}
+            className={pillClass(timer.setting === minutes)}
+          >
+            {minutes} min
+          </button>
+        ))}
+        {allowEndOfTrack && (
+          <button onClick={() => timer.start('end')} className={pillClass(timer.setting === 'end')}>
+            End of track
+          </button>
+        )}
+        <form onSubmit={applyCustom} className="flex gap-2">
+          <input
+            type="number"
+            min="1"
+            max="600"
+            value={customMinutes}
+            onChange={(e) => setCustomMinutes(e.target.value)}
+            placeholder="Custom"
+            aria-label="Custom sleep timer in minutes"
+            className={`w-24 bg-dark-300 text-white rounded-full px-4 py-1.5 text-sm border-none focus:outline-none focus:ring-2 focus:ring-primary placeholder-gray-500 ${
+              typeof timer.setting === 'number' && !PRESET_MINUTES.includes(timer.setting) ? 'ring-2 ring-primary' : ''
+            }`}
+          />
+          {customMinutes && (
+            <button type="submit" disabled={!customValid} className={pillClass(false)}>
+              Set
+            </button>
+          )}
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default SleepTimerControl
@@ -0,0 +1,92 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+import { SOLFEGGIO_TIMBRES } from '../audio/solfeggio'
+import AudioVisualizer from './AudioVisualizer'
+
+const SolfeggioCard = ({ track, index, isActive, timbre, volume, analyser, onToggle, onTimbreChange, onVolumeChange }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    transition={{ delay: index * 0.05 }}
+    className={`bg-gradient-to-r ${track.color} backdrop-blur-lg rounded-3xl p-8 border border-primary/20`}
+  >
+    <div className="flex items-center justify-between mb-6">
+      <h3 className="text-2xl font-semibold text-white">{track.name}</h3>
+      <span className="text-primary font-medium">{track.hz} Hz</span>
+    </div>
+    <p className="text-gray-400 mb-6">{track.description}</p>
+    <div className="flex flex-wrap gap-2 mb-6" role="radiogroup" aria-label="Timbre">
+      {SOLFEGGIO_TIMBRES.map(option => (
+        <button
+          key={option.id}
+          onClick={() => onTimbreChange(option.id)}
+          role="radio"
+          aria-checked={timbre === option.id}
+          title={option.description}
+          className={`px-4 py-1.5 rounded-full text-sm transition-all ${
+            timbre === option.id
+              ? 'bg-primary text-dark-300'
+              : 'bg-dark-300/60 text-gray-400 hover:text-primary'
+          }`}
+        >
+          {option.name}
+        </button>
+      ))}
+    </div>
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-400">
+          {SOLFEGGIO_TIMBRES.find(option => option.id === timbre)?.description}
+        </span>
+        <motion.button
+          onClick={onToggle}
+          className={`p-3 rounded-full ${
+            isActive
+              ? 'bg-red-500 hover:bg-red-600'
+              : 'bg-primary hover:bg-primary/90'
+          } text-dark-300 transition-all`}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          aria-label={isActive ? 'Stop' : 'Play'}
+        >
+          {isActive ? (
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          ) : (
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          )}
+        </motion.button>
+      </div>
+      {isActive && (
+        <motion.div
+          className="space-y-4"
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          transition={{ duration: 0.3 }}
+        >
+          <AudioVisualizer analyser={analyser} active={isActive} />
+          <div className="flex items-center justify-between">
+            <span className="text-gray-400">Volume</span>
+            <span className="text-gray-400">{Math.round(volume * 100)}%</span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.01"
+            value={volume}
+            onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
+            aria-label={`${track.name} volume`}
+            className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
+          />
+        </motion.div>
+      )}
+    </div>
+  </motion.div>
+)
+
+export default SolfeggioCard
@@ -0,0 +1,118 @@
+import React from 'react'
+import { SOUNDSCAPE_LOOPS } from '../audio/ambience'
+
+const MuteButton = ({ muted, onClick, label }) => (
+  <button
+    onClick={onClick}
+    className={`p-2 rounded-full transition-colors ${muted ? 'text-red-400' : 'text-gray-400 hover:text-primary'}`}
+    aria-label={`${muted ? 'Unmute' : 'Mute'} ${label}`}
+    aria-pressed={muted}
+  >
+    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5L6 9H2v6h4l5 4V5z" />
+      {muted ? (
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9l4 6m0-6l-4 6" />
+      ) : (
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072M18.364 5.636a9 9 0 010 12.728" />
+      )}
+    </svg>
+  </button>
+)
+
+const VolumeSlider = ({ value, onChange, label, disabled }) => (
+  <input
+    type="range"
+    min="0"
+    max="1"
+    step="0.01"
+    value={value}
+    onChange={(e) => onChange(parseFloat(e.target.value))}
+    disabled={disabled}
+    aria-label={`${label} volume`}
+    className="flex-1 h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary disabled:opacity-40"
+  />
+)
+
+// Channel strip for the playing tone, one per ambient loop, and the master
+// fader. `toneStrip` is { name, volume, muted, setVolume, setMuted } for the
+// brainwave, solfeggio or program tone that is playing, or null. A program
+// sets its own volume, so its strip has no `setVolume`.
+const SoundMixer = ({ toneStrip, soundscape }) => {
+  const rowClass = 'flex items-center gap-3'
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-white">Mixer</h2>
+        {soundscape.paused && (
+          <button
+            onClick={soundscape.resume}
+            className="px-4 py-1.5 rounded-full text-sm bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+          >
+            Paused • Resume
+          </button>
+        )}
+      </div>
+
+      <div className={rowClass}>
+        <span className="w-40 text-gray-300 truncate">
+          {toneStrip ? `🧠 ${toneStrip.name}` : '🧠 No tone playing'}
+        </span>
+        <MuteButton
+          muted={Boolean(toneStrip?.muted)}
+          onClick={() => toneStrip?.setMuted(!toneStrip.muted)}
+          label="tone"
+        />
+        <VolumeSlider
+          value={toneStrip ? toneStrip.volume : 0}
+          onChange={(value) => toneStrip?.setVolume(value)}
+          label="Tone"
+          disabled={!toneStrip?.setVolume}
+        />
+      </div>
+
+      {SOUNDSCAPE_LOOPS.map(loop => {
+        const state = soundscape.loops[loop.id]
+        return (
+          <div key={loop.id} className={rowClass}>
+            <button
+              onClick={() => soundscape.toggleLoop(loop.id)}
+              className={`w-40 px-3 py-1.5 rounded-full text-sm text-left truncate transition-all ${
+                state.active
+                  ? 'bg-primary text-dark-300'
+                  : 'bg-dark-300/60 text-gray-400 hover:text-primary'
+              }`}
+              aria-pressed={state.active}
+            >
+              {loop.icon} {loop.name}
+            </button>
+            <MuteButton
+              muted={state.muted}
+              onClick={() => soundscape.toggleLoopMute(loop.id)}
+              label={loop.name}
+            />
+            <VolumeSlider
+              value={state.volume}
+              onChange={(value) => soundscape.setLoopVolume(loop.id, value)}
+              label={loop.name}
+            />
+          </div>
+        )
+      })}
+
+      <div className={`${rowClass} pt-4 border-t border-primary/20`}>
+        <span className="w-40 text-white font-medium">Master</span>
+        <span className="w-9 text-right text-gray-400 text-sm tabular-nums">
+          {Math.round(soundscape.masterVolume * 100)}%
+        </span>
+        <VolumeSlider
+          value={soundscape.masterVolume}
+          onChange={soundscape.setMasterVolume}
+          label="Master"
+        />
+      </div>
+    </div>
+  )
+}
+
+export default SoundMixer
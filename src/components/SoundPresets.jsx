@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { fetchSoundPresets, saveSoundPreset, deleteSoundPreset } from '../utils/soundPresets'
+
+// Named mixes saved to the user's profile. `getSettings` snapshots the
+// current mix; `onLoad` receives a saved snapshot.
+const SoundPresets = ({ userId, getSettings, onLoad }) => {
+  const [presets, setPresets] = useState([])
+  const [name, setName] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!userId) return
+    let cancelled = false
+
+    const loadPresets = async () => {
+      try {
+        const data = await fetchSoundPresets(userId)
+        if (!cancelled) setPresets(data)
+      } catch (error) {
+        console.error('Error loading sound presets:', error)
+      }
+    }
+
+    loadPresets()
+    return () => { cancelled = true }
+  }, [userId])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const trimmed = name.trim()
+    if (!trimmed) return
+
+    setSaving(true)
+    try {
+      const preset = await saveSoundPreset(userId, trimmed, getSettings())
+      setPresets(prev => [...prev.filter(p => p.id !== preset.id), preset]
+        .sort((a, b) => a.name.localeCompare(b.name)))
+      setName('')
+      toast.success(`Saved "${preset.name}"`)
+    } catch (error) {
+      console.error('Error saving sound preset:', error)
+      toast.error('Could not save this mix')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (preset) => {
+    try {
+      await deleteSoundPreset(preset.id)
+      setPresets(prev => prev.filter(p => p.id !== preset.id))
+    } catch (error) {
+      console.error('Error deleting sound preset:', error)
+      toast.error('Could not delete this preset')
+    }
+  }
+
+  if (!userId) return null
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-xl font-semibold text-white">Saved mixes</h2>
+      <form onSubmit={handleSave} className="flex gap-3">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={60}
+          placeholder="Name this mix"
+          aria-label="Preset name"
+          className="flex-1 min-w-0 px-4 py-2 rounded-full bg-dark-300 text-white placeholder-gray-500 border border-primary/20 focus:border-primary focus:outline-none"
+        />
+        <motion.button
+          type="submit"
+          disabled={!name.trim() || saving}
+          className="px-6 py-2 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          Save
+        </motion.button>
+      </form>
+
+      {presets.length === 0 ? (
+        <p className="text-gray-500 text-sm">Saved mixes appear here.</p>
+      ) : (
+        <ul className="space-y-2">
+          {presets.map(preset => (
+            <li key={preset.id} className="flex items-center gap-3">
+              <button
+                onClick={() => onLoad(preset.settings)}
+                className="flex-1 min-w-0 text-left px-4 py-2 rounded-full bg-dark-300/60 text-gray-300 hover:text-primary truncate transition-colors"
+              >
+                {preset.name}
+              </button>
+              <button
+                onClick={() => handleDelete(preset)}
+                className="p-2 rounded-full text-gray-400 hover:text-red-400 transition-colors"
+                aria-label={`Delete ${preset.name}`}
+              >
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SoundPresets
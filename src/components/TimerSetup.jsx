@@ -0,0 +1,148 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
+import { BELL_SOUNDS, playBell } from '../audio/bells'
+import { resumeAudioContext } from '../audio/context'
+
+const DURATION_OPTIONS = [5, 10, 15, 20, 30, 45, 60]
+const WARMUP_OPTIONS = [
+  { value: 0, label: 'None' },
+  { value: 10, label: '10 sec' },
+  { value: 30, label: '30 sec' },
+  { value: 60, label: '1 min' }
+]
+const INTERVAL_OPTIONS = [
+  { value: 0, label: 'None' },
+  { value: 1, label: 'Every 1 min' },
+  { value: 5, label: 'Every 5 min' },
+  { value: 10, label: 'Every 10 min' },
+  { value: 15, label: 'Every 15 min' }
+]
+
+const TimerSetup = () => {
+  const navigate = useNavigate()
+  const [duration, setDuration] = useState(10)
+  const [customDuration, setCustomDuration] = useState('')
+  const [warmup, setWarmup] = useState(10)
+  const [intervalMinutes, setIntervalMinutes] = useState(5)
+  const [bell, setBell] = useState(BELL_SOUNDS[0].id)
+
+  // Number rather than parseInt, so "2.5" is rejected instead of read as 2
+  const totalMinutes = customDuration ? Number(customDuration) : duration
+  const isValid = Number.isInteger(totalMinutes) && totalMinutes > 0 && totalMinutes <= 180
+
+  const previewBell = async (bellId) => {
+    setBell(bellId)
+    const ctx = await resumeAudioContext()
+    playBell(bellId, { ctx })
+  }
+
+  const startTimer = () => {
+    if (!isValid) return
+    const params = new URLSearchParams({
+      duration: totalMinutes,
+      warmup,
+      interval: intervalMinutes,
+      bell
+    })
+    navigate(`/meditation/timer?${params.toString()}`)
+  }
+
+  const pillClass = (active) => `px-4 py-2 rounded-full text-sm transition-all ${
+    active
+      ? 'bg-primary text-dark-300'
+      : 'bg-dark-200 text-gray-400 hover:bg-primary/10 hover:text-primary'
+  }`
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-gray-300 mb-3">Duration</h3>
+        <div className="flex flex-wrap gap-2 items-center">
+          {DURATION_OPTIONS.map(minutes => (
+            <button
+              key={minutes}
+              onClick={() => {
+                setDuration(minutes)
+                setCustomDuration('')
+              }}
+              className={pillClass(!customDuration && duration === minutes)}
+            >
+              {minutes} min
+            </button>
+          ))}
+          <input
+            type="number"
+            min="1"
+            max="180"
+            step="1"
+            value={customDuration}
+            onChange={(e) => setCustomDuration(e.target.value)}
+            placeholder="Custom"
+            className="w-24 bg-dark-200 text-white rounded-full px-4 py-2 text-sm border-none focus:outline-none focus:ring-2 focus:ring-primary placeholder-gray-500"
+          />
+        </div>
+        {customDuration && !isValid && (
+          <p className="mt-2 text-sm text-red-500">Enter a whole number of minutes from 1 to 180</p>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-gray-300 mb-3">Warm-up countdown</h3>
+        <div className="flex flex-wrap gap-2">
+          {WARMUP_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setWarmup(option.value)}
+              className={pillClass(warmup === option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-gray-300 mb-3">Interval bells</h3>
+        <div className="flex flex-wrap gap-2">
+          {INTERVAL_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setIntervalMinutes(option.value)}
+              className={pillClass(intervalMinutes === option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-gray-300 mb-3">Bell sound</h3>
+        <div className="flex flex-wrap gap-2">
+          {BELL_SOUNDS.map(sound => (
+            <button
+              key={sound.id}
+              onClick={() => previewBell(sound.id)}
+              className={pillClass(bell === sound.id)}
+            >
+              🔔 {sound.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <motion.button
+        onClick={startTimer}
+        disabled={!isValid}
+        className="bg-primary text-dark-300 px-8 py-3 rounded-full text-lg font-medium hover:bg-primary/90 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        Start Timer
+      </motion.button>
+    </div>
+  )
+}
+
+export default TimerSetup
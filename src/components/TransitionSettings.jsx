@@ -0,0 +1,34 @@
+import React from 'react'
+import { MAX_FADE_SECONDS } from '../hooks/useFadeSettings'
+
+const FIELDS = [
+  { key: 'fadeIn', label: 'Fade in' },
+  { key: 'fadeOut', label: 'Fade out' },
+  { key: 'crossfade', label: 'Crossfade between tones' }
+]
+
+const TransitionSettings = ({ fades, onChange }) => (
+  <div className="space-y-3">
+    <span className="text-gray-400 text-sm">Transitions</span>
+    {FIELDS.map(field => (
+      <div key={field.key} className="space-y-1">
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-gray-500">{field.label}</span>
+          <span className="text-gray-400 tabular-nums">{fades[field.key]} s</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max={MAX_FADE_SECONDS}
+          step="0.5"
+          value={fades[field.key]}
+          onChange={(e) => onChange(field.key, parseFloat(e.target.value))}
+          aria-label={`${field.label} seconds`}
+          className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
+        />
+      </div>
+    ))}
+  </div>
+)
+
+export default TransitionSettings
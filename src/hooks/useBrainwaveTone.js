@@ -0,0 +1,58 @@
+import { useCallback } from 'react'
+import { BRAINWAVE_BANDS, clampBeat, createBrainwaveTone } from '../audio/brainwaves'
+import useToneVoice, { pickSetting } from './useToneVoice'
+
+const BAND_IDS = Object.keys(BRAINWAVE_BANDS)
+
+const initialSettings = (bandId) => ({
+  mode: 'binaural',
+  beat: BRAINWAVE_BANDS[bandId].defaultBeat,
+  volume: 0.5
+})
+
+const normalize = (bandId, settings) => ({ ...settings, beat: clampBeat(bandId, settings.beat) })
+
+const createVoice = ({ id, settings, volume, destination }) => createBrainwaveTone({
+  destination,
+  mode: settings.mode,
+  carrier: BRAINWAVE_BANDS[id].carrier,
+  beat: settings.beat,
+  volume
+})
+
+/**
+ * One live brainwave tone at a time, generated with Web Audio and routed into
+ * `destination` (the soundscape mixer). Each band keeps its own mode, beat
+ * frequency and volume so switching back restores them. `play` accepts
+ * { mode, beat, volume, muted, fadeSeconds } to restore a saved mix.
+ */
+const useBrainwaveTone = ({ destination, fades } = {}) => {
+  const voice = useToneVoice({ ids: BAND_IDS, initialSettings, normalize, createVoice, destination, fades })
+  const { update, revoice } = voice
+
+  // Changing the mode of the playing band crossfades to the new voice
+  const setMode = useCallback((bandId, mode) => revoice(bandId, { mode }), [revoice])
+
+  const setBeat = useCallback((bandId, hz) => {
+    const beat = clampBeat(bandId, hz)
+    update(bandId, { beat }, tone => tone.setBeat(beat))
+  }, [update])
+
+  return {
+    activeBand: voice.activeId,
+    playing: voice.playing,
+    beats: pickSetting(voice.settings, 'beat'),
+    volumes: pickSetting(voice.settings, 'volume'),
+    modes: pickSetting(voice.settings, 'mode'),
+    muted: voice.muted,
+    play: voice.play,
+    stop: voice.stop,
+    toggle: voice.toggle,
+    setMode,
+    setBeat,
+    setVolume: voice.setVolume,
+    setMuted: voice.setMuted
+  }
+}
+
+export default useBrainwaveTone
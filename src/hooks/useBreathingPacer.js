@@ -0,0 +1,88 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { getCycleSeconds } from '../utils/breathing'
+
+// Locate the phase a given point in the breathing cycle falls in
+const locatePhase = (pattern, position) => {
+  let start = 0
+  for (let index = 0; index < pattern.phases.length; index++) {
+    const { seconds } = pattern.phases[index]
+    if (position < start + seconds) {
+      return { index, phaseElapsed: position - start }
+    }
+    start += seconds
+  }
+  return { index: pattern.phases.length - 1, phaseElapsed: pattern.phases[pattern.phases.length - 1].seconds }
+}
+
+/**
+ * Drives a breathing pattern while `running` is true and reports the current
+ * phase, how far into it we are and how many full cycles have completed.
+ * `onPhaseChange` fires at the start of every phase (used for sound and
+ * haptic cues).
+ */
+const useBreathingPacer = ({ pattern, running, onPhaseChange }) => {
+  const [state, setState] = useState({ phaseIndex: 0, phaseElapsed: 0, cycles: 0 })
+  const positionRef = useRef(0)
+  const cyclesRef = useRef(0)
+  const phaseIndexRef = useRef(-1)
+  const onPhaseChangeRef = useRef(onPhaseChange)
+
+  useEffect(() => {
+    onPhaseChangeRef.current = onPhaseChange
+  }, [onPhaseChange])
+
+  const reset = useCallback(() => {
+    positionRef.current = 0
+    cyclesRef.current = 0
+    phaseIndexRef.current = -1
+    setState({ phaseIndex: 0, phaseElapsed: 0, cycles: 0 })
+  }, [])
+
+  // Start over whenever the pattern itself changes
+  useEffect(() => {
+    reset()
+  }, [pattern, reset])
+
+  useEffect(() => {
+    if (!running || pattern.phases.length === 0) return
+
+    const cycleSeconds = getCycleSeconds(pattern)
+    let last = performance.now()
+
+    const tick = () => {
+      const now = performance.now()
+      let position = positionRef.current + (now - last) / 1000
+      last = now
+
+      while (position >= cycleSeconds) {
+        position -= cycleSeconds
+        cyclesRef.current += 1
+      }
+      positionRef.current = position
+
+      const { index, phaseElapsed } = locatePhase(pattern, position)
+      if (index !== phaseIndexRef.current) {
+        phaseIndexRef.current = index
+        onPhaseChangeRef.current?.(pattern.phases[index])
+      }
+      setState({ phaseIndex: index, phaseElapsed, cycles: cyclesRef.current })
+    }
+
+    tick()
+    const interval = setInterval(tick, 100)
+    return () => clearInterval(interval)
+  }, [running, pattern])
+
+  const phase = pattern.phases[state.phaseIndex] || pattern.phases[0]
+
+  return {
+    phase,
+    phaseIndex: state.phaseIndex,
+    phaseElapsed: state.phaseElapsed,
+    phaseRemaining: phase ? Math.max(0, phase.seconds - state.phaseElapsed) : 0,
+    cycles: state.cycles,
+    reset
+  }
+}
+
+export default useBreathingPacer
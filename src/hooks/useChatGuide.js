@@ -0,0 +1,27 @@
+import { useState, useCallback } from 'react'
+import { getSpiritualGuide } from '../utils/spiritualGuides'
+
+const STORAGE_KEY = 'nirvaha.chatGuide'
+
+const readGuideId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+// The Zen Chat guide, remembered on this device
+const useChatGuide = () => {
+  const [guide, setGuide] = useState(() => getSpiritualGuide(readGuideId()))
+
+  const selectGuide = useCallback((id) => {
+    const next = getSpiritualGuide(id)
+    localStorage.setItem(STORAGE_KEY, next.id)
+    setGuide(next)
+  }, [])
+
+  return [guide, selectGuide]
+}
+
+export default useChatGuide
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import {
+  DOWNLOADS_CHANGED_EVENT,
+  getDownloads,
+  downloadAudio,
+  removeDownload,
+  removeRetiredDownloads,
+  isOfflineSupported
+} from '../utils/downloads'
+
+/**
+ * Offline downloads with live progress. Every instance stays in sync, so a
+ * download started on one card shows up on the Downloads page straight away.
+ */
+const useDownloads = () => {
+  const [downloads, setDownloads] = useState(getDownloads)
+  const [progress, setProgress] = useState({}) // id -> 0..1, or null when the size is unknown
+
+  useEffect(() => {
+    removeRetiredDownloads().catch(error => {
+      console.error('Error removing retired downloads:', error)
+    })
+  }, [])
+
+  useEffect(() => {
+    const refresh = () => setDownloads(getDownloads())
+    window.addEventListener(DOWNLOADS_CHANGED_EVENT, refresh)
+    window.addEventListener('storage', refresh)
+    return () => {
+      window.removeEventListener(DOWNLOADS_CHANGED_EVENT, refresh)
+      window.removeEventListener('storage', refresh)
+    }
+  }, [])
+
+  const download = useCallback(async (item) => {
+    setProgress(prev => ({ ...prev, [item.id]: 0 }))
+    try {
+      await downloadAudio(item, value => {
+        setProgress(prev => ({ ...prev, [item.id]: value }))
+      })
+      toast.success(`${item.title} is available offline`)
+    } catch (error) {
+      console.error('Error downloading audio:', error)
+      toast.error(`Failed to download ${item.title}`)
+    } finally {
+      setProgress(prev => {
+        const next = { ...prev }
+        delete next[item.id]
+        return next
+      })
+    }
+  }, [])
+
+  const remove = useCallback(async (id) => {
+    try {
+      await removeDownload(id)
+    } catch (error) {
+      console.error('Error removing download:', error)
+      toast.error('Failed to remove download')
+    }
+  }, [])
+
+  const getStatus = useCallback((id) => {
+    if (id in progress) return 'downloading'
+    return downloads[id] ? 'downloaded' : 'idle'
+  }, [downloads, progress])
+
+  return {
+    supported: isOfflineSupported(),
+    downloads,
+    progress,
+    getStatus,
+    download,
+    remove
+  }
+}
+
+export default useDownloads
@@ -0,0 +1,32 @@
+import { useState, useCallback } from 'react'
+
+const STORAGE_KEY = 'nirvaha.soundFades'
+
+// Seconds. Crossfade applies when one tone replaces another.
+export const DEFAULT_FADES = { fadeIn: 2, fadeOut: 1.5, crossfade: 3 }
+export const MAX_FADE_SECONDS = 10
+
+const readFades = () => {
+  try {
+    return { ...DEFAULT_FADES, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+  } catch {
+    return DEFAULT_FADES
+  }
+}
+
+// Sound Healing transition lengths, remembered on this device
+const useFadeSettings = () => {
+  const [fades, setFades] = useState(readFades)
+
+  const setFade = useCallback((key, seconds) => {
+    setFades(prev => {
+      const next = { ...prev, [key]: Math.min(Math.max(seconds, 0), MAX_FADE_SECONDS) }
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+      return next
+    })
+  }, [])
+
+  return [fades, setFade]
+}
+
+export default useFadeSettings
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import { fetchFavoriteIds, setFavorite } from '../utils/library'
+
+/**
+ * The signed-in user's hearted meditations. Toggling updates the UI straight
+ * away and rolls back if Supabase rejects the change.
+ */
+const useFavorites = (userId) => {
+  const [favoriteIds, setFavoriteIds] = useState(() => new Set())
+
+  useEffect(() => {
+    if (!userId) return
+    let cancelled = false
+
+    fetchFavoriteIds(userId)
+      .then(ids => {
+        if (!cancelled) setFavoriteIds(ids)
+      })
+      .catch(error => {
+        console.error('Error fetching favorites:', error)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
+  const update = (meditationId, favorite) => {
+    setFavoriteIds(prev => {
+      const next = new Set(prev)
+      if (favorite) next.add(meditationId)
+      else next.delete(meditationId)
+      return next
+    })
+  }
+
+  const toggleFavorite = useCallback(async (meditation) => {
+    if (!userId) return
+    const favorite = !favoriteIds.has(meditation.id)
+    update(meditation.id, favorite)
+
+    try {
+      await setFavorite(userId, meditation.id, favorite)
+    } catch (error) {
+      console.error('Error updating favorite:', error)
+      update(meditation.id, !favorite)
+      toast.error('Failed to update favorites')
+    }
+  }, [userId, favoriteIds])
+
+  return { favoriteIds, toggleFavorite }
+}
+
+export default useFavorites
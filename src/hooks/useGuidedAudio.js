@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { createGuidedSession } from '../audio/guidedSession'
+
+// React wrapper around a guided session. The session is rebuilt when the
+// narration changes; bed and volume changes are applied to the live session.
+const useGuidedAudio = ({ narrationUrl, bedUrl, onEnded }) => {
+  const sessionRef = useRef(null)
+  const onEndedRef = useRef(onEnded)
+  const bedUrlRef = useRef(bedUrl)
+  // The narration URL the current session finished loading, so a new URL
+  // reads as loading from the very render that introduced it
+  const [readyUrl, setReadyUrl] = useState(false)
+  const [hasNarration, setHasNarration] = useState(false)
+  const [analyser, setAnalyser] = useState(null)
+  const [currentTime, setCurrentTime] = useState(0)
+  const [duration, setDuration] = useState(0)
+  const [narrationVolume, setNarrationVolumeState] = useState(1)
+  const [bedVolume, setBedVolumeState] = useState(0.4)
+
+  useEffect(() => {
+    onEndedRef.current = onEnded
+  }, [onEnded])
+
+  useEffect(() => {
+    let cancelled = false
+    const session = createGuidedSession({
+      narrationUrl,
+      bedUrl: bedUrlRef.current,
+      onTimeUpdate: time => setCurrentTime(time),
+      onEnded: () => onEndedRef.current?.()
+    })
+    sessionRef.current = session
+    setAnalyser(session.analyser)
+    setCurrentTime(0)
+
+    session.load()
+      .then(() => {
+        if (cancelled) return
+        setHasNarration(session.hasNarration)
+        setDuration(session.getDuration())
+      })
+      .catch(error => {
+        // Narration missing or blocked: the player falls back to a silent timer
+        console.error('Error loading narration:', error)
+        if (!cancelled) setHasNarration(false)
+      })
+      .finally(() => {
+        if (!cancelled) setReadyUrl(narrationUrl)
+      })
+
+    return () => {
+      cancelled = true
+      session.destroy()
+      sessionRef.current = null
+    }
+  }, [narrationUrl])
+
+  // Swap the ambient bed on the running session
+  useEffect(() => {
+    if (bedUrlRef.current === bedUrl) return
+    bedUrlRef.current = bedUrl
+    sessionRef.current?.setBed(bedUrl).catch(error => {
+      console.warn('Ambient bed unavailable:', error)
+    })
+  }, [bedUrl])
+
+  const play = useCallback(position => sessionRef.current?.play(position), [])
+  const pause = useCallback(() => sessionRef.current?.pause(), [])
+
+  const seek = useCallback(position => {
+    sessionRef.current?.seek(position)
+    setCurrentTime(position)
+  }, [])
+
+  const setNarrationVolume = useCallback(value => {
+    setNarrationVolumeState(value)
+    sessionRef.current?.setNarrationVolume(value)
+  }, [])
+
+  const setBedVolume = useCallback(value => {
+    setBedVolumeState(value)
+    sessionRef.current?.setBedVolume(value)
+  }, [])
+
+  const setMasterVolume = useCallback((value, seconds) => {
+    sessionRef.current?.setMasterVolume(value, seconds)
+  }, [])
+
+  return {
+    status: readyUrl === narrationUrl ? 'ready' : 'loading', // loading | ready
+    hasNarration,
+    analyser,
+    currentTime,
+    duration,
+    narrationVolume,
+    bedVolume,
+    play,
+    pause,
+    seek,
+    setNarrationVolume,
+    setBedVolume,
+    setMasterVolume
+  }
+}
+
+export default useGuidedAudio
@@ -0,0 +1,54 @@
+import { useEffect } from 'react'
+import { saveSessionReliably } from '../utils/sessions'
+
+const MIN_LOGGED_SECONDS = 60
+
+/**
+ * Logs time spent on audio with no natural end, such as a Sound Healing
+ * tone. Each uninterrupted stretch under one title and set of `details`
+ * becomes a practice session of `practiceType` with its start and end time
+ * and the minutes actually heard; stretches shorter than a minute are not
+ * recorded.
+ */
+const useListeningLog = ({ userId, title, playing, practiceType, details = {} }) => {
+  // Compare by value so a fresh object each render doesn't split the stretch
+  const detailsKey = JSON.stringify(details)
+
+  useEffect(() => {
+    if (!userId || !title || !playing) return
+
+    const startedAt = new Date()
+    let logged = false
+
+    const flush = () => {
+      if (logged) return
+      logged = true
+
+      const endedAt = new Date()
+      const seconds = (endedAt - startedAt) / 1000
+      if (seconds < MIN_LOGGED_SECONDS) return
+
+      saveSessionReliably({
+        id: crypto.randomUUID(),
+        userId,
+        title,
+        durationMinutes: seconds / 60,
+        completed: true,
+        practiceType,
+        startedAt: startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        details: JSON.parse(detailsKey)
+      }).catch(error => {
+        console.error('Error saving listening session:', error)
+      })
+    }
+
+    window.addEventListener('pagehide', flush)
+    return () => {
+      window.removeEventListener('pagehide', flush)
+      flush()
+    }
+  }, [userId, title, playing, practiceType, detailsKey])
+}
+
+export default useListeningLog
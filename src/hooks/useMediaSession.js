@@ -0,0 +1,99 @@
+import { useEffect, useRef } from 'react'
+import { isMediaSessionSupported } from '../utils/mediaSession'
+import { createKeepAlive } from '../audio/keepAlive'
+
+const ACTIONS = ['play', 'pause', 'stop', 'seekto', 'seekbackward', 'seekforward']
+
+const setActionHandler = (action, handler) => {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler)
+  } catch {
+    // Not every browser knows every action
+  }
+}
+
+/**
+ * Lock-screen and hardware-key controls through the Media Session API.
+ * `handlers` maps action names (play, pause, stop, seekto, seekbackward,
+ * seekforward) to callbacks; actions without one are left unregistered.
+ * Pass `duration` and `position` in seconds for a seekable scrubber, and
+ * `keepAlive` when nothing but Web Audio is playing (see audio/keepAlive).
+ */
+const useMediaSession = ({
+  active,
+  title,
+  artist,
+  album,
+  artwork,
+  playing,
+  handlers = {},
+  duration,
+  position,
+  keepAlive = false
+}) => {
+  const handlersRef = useRef(handlers)
+  const keepAliveRef = useRef(null)
+  const actions = ACTIONS.filter(action => handlers[action]).join(',')
+
+  useEffect(() => {
+    handlersRef.current = handlers
+  })
+
+  useEffect(() => {
+    if (!isMediaSessionSupported()) return
+    if (!active) {
+      navigator.mediaSession.metadata = null
+      return
+    }
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title,
+      artist,
+      album,
+      artwork: artwork ? [{ src: artwork, sizes: '512x512' }] : []
+    })
+  }, [active, title, artist, album, artwork])
+
+  useEffect(() => {
+    if (!isMediaSessionSupported()) return
+    navigator.mediaSession.playbackState = !active ? 'none' : playing ? 'playing' : 'paused'
+  }, [active, playing])
+
+  useEffect(() => {
+    if (!isMediaSessionSupported() || !active) return
+    const registered = actions ? actions.split(',') : []
+    registered.forEach(action => {
+      setActionHandler(action, details => handlersRef.current[action]?.(details))
+    })
+    return () => registered.forEach(action => setActionHandler(action, null))
+  }, [active, actions])
+
+  useEffect(() => {
+    if (!isMediaSessionSupported() || !active || !duration) return
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        position: Math.min(Math.max(position || 0, 0), duration),
+        playbackRate: 1
+      })
+    } catch (error) {
+      console.warn('Could not update media position:', error)
+    }
+  }, [active, duration, position])
+
+  useEffect(() => {
+    if (!keepAlive && !keepAliveRef.current) return
+    if (!keepAliveRef.current) keepAliveRef.current = createKeepAlive()
+    if (keepAlive && playing) keepAliveRef.current.start()
+    else keepAliveRef.current.pause()
+  }, [keepAlive, playing])
+
+  // Clear the lock screen when the page goes away
+  useEffect(() => () => {
+    keepAliveRef.current?.destroy()
+    if (!isMediaSessionSupported()) return
+    navigator.mediaSession.metadata = null
+    navigator.mediaSession.playbackState = 'none'
+  }, [])
+}
+
+export default useMediaSession
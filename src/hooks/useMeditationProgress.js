@@ -0,0 +1,185 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import {
+  fetchProgress,
+  saveLocalProgress,
+  saveRemoteProgress,
+  clearProgress
+} from '../utils/sessionProgress'
+import { saveSessionReliably, flushPendingSessions } from '../utils/sessions'
+
+const LOCAL_CHECKPOINT_MS = 5000
+const REMOTE_CHECKPOINT_EVERY = 6 // local checkpoints, i.e. every 30 seconds
+
+// A finished attempt always counts for at least a minute
+const completedMinutes = (seconds) => Math.max(1, Math.round(seconds / 60))
+
+/**
+ * Keeps a meditation attempt recoverable. While the player runs it saves the
+ * playback position locally and to Supabase, and it writes the attempt to
+ * meditation_sessions as a partial row (completed = false) whenever the user
+ * pauses or leaves. The same row is upgraded to completed when they finish,
+ * and `listenedMinutes` holds the duration it was logged with.
+ */
+const useMeditationProgress = ({ userId, meditation, status, getPosition }) => {
+  const [savedProgress, setSavedProgress] = useState(null)
+  const [saveState, setSaveState] = useState('idle') // idle | saving | saved | error
+  const [listenedMinutes, setListenedMinutes] = useState(null)
+  const sessionIdRef = useRef(crypto.randomUUID())
+  const listenedRef = useRef(0)
+  const playStartedRef = useRef(null)
+  const statusRef = useRef(status)
+  const getPositionRef = useRef(getPosition)
+  const meditationRef = useRef(meditation)
+
+  useEffect(() => {
+    getPositionRef.current = getPosition
+    meditationRef.current = meditation
+  })
+
+  const getListenedSeconds = useCallback(() => (
+    listenedRef.current + (playStartedRef.current ? (Date.now() - playStartedRef.current) / 1000 : 0)
+  ), [])
+
+  const checkpoint = useCallback(({ remote = false } = {}) => {
+    const current = meditationRef.current
+    const position = getPositionRef.current()
+    if (!userId || !current || position < 1) return
+
+    const progress = {
+      position,
+      listenedSeconds: getListenedSeconds(),
+      sessionId: sessionIdRef.current,
+      updatedAt: new Date().toISOString()
+    }
+    saveLocalProgress(userId, current.id, progress)
+    if (remote) {
+      saveRemoteProgress(userId, current.id, progress).catch(error => {
+        console.error('Error saving meditation progress:', error)
+      })
+    }
+  }, [userId, getListenedSeconds])
+
+  const recordAttempt = useCallback((completed) => {
+    const current = meditationRef.current
+    const seconds = getListenedSeconds()
+    if (!userId || !current || (!completed && seconds < 60)) return Promise.resolve()
+
+    return saveSessionReliably({
+      id: sessionIdRef.current,
+      userId,
+      meditationId: current.id,
+      title: current.title,
+      durationMinutes: completed ? completedMinutes(seconds) : seconds / 60,
+      completed
+    })
+  }, [userId, getListenedSeconds])
+
+  const savePartial = useCallback(() => {
+    checkpoint({ remote: true })
+    recordAttempt(false).catch(error => {
+      console.error('Error saving partial session:', error)
+    })
+  }, [checkpoint, recordAttempt])
+
+  // Load any saved position and retry sessions parked by an earlier visit
+  useEffect(() => {
+    if (!userId || !meditation?.id) return
+    let cancelled = false
+
+    flushPendingSessions(userId)
+    fetchProgress(userId, meditation.id).then(progress => {
+      if (!cancelled) setSavedProgress(progress?.position > 0 ? progress : null)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId, meditation?.id])
+
+  // Account listened time and persist on every play state change
+  useEffect(() => {
+    const previous = statusRef.current
+    statusRef.current = status
+
+    if (status === 'playing') {
+      playStartedRef.current = Date.now()
+      return
+    }
+
+    if (previous === 'playing') {
+      listenedRef.current = getListenedSeconds()
+      playStartedRef.current = null
+    }
+
+    if (status === 'paused' && previous === 'playing') {
+      savePartial()
+    }
+
+    if (status === 'finished' && previous !== 'finished') {
+      const current = meditationRef.current
+      setListenedMinutes(completedMinutes(getListenedSeconds()))
+      setSaveState('saving')
+      recordAttempt(true)
+        .then(() => {
+          setSaveState('saved')
+          setSavedProgress(null)
+          return clearProgress(userId, current.id)
+        })
+        .catch(error => {
+          console.error('Error saving meditation session:', error)
+          setSaveState('error')
+        })
+    }
+  }, [status, userId, getListenedSeconds, savePartial, recordAttempt])
+
+  // Periodic checkpoints while playing
+  useEffect(() => {
+    if (status !== 'playing') return
+
+    let ticks = 0
+    const interval = setInterval(() => {
+      ticks += 1
+      checkpoint({ remote: ticks % REMOTE_CHECKPOINT_EVERY === 0 })
+    }, LOCAL_CHECKPOINT_MS)
+
+    return () => clearInterval(interval)
+  }, [status, checkpoint])
+
+  // Closing the tab or leaving the player mid-session keeps the attempt
+  useEffect(() => {
+    const handleLeave = () => {
+      if (statusRef.current === 'playing' || statusRef.current === 'paused') {
+        savePartial()
+      }
+    }
+
+    window.addEventListener('pagehide', handleLeave)
+    return () => {
+      window.removeEventListener('pagehide', handleLeave)
+      handleLeave()
+    }
+  }, [savePartial])
+
+  // Continue a saved attempt rather than starting a new one
+  const resume = useCallback((progress) => {
+    sessionIdRef.current = progress.sessionId || crypto.randomUUID()
+    listenedRef.current = progress.listenedSeconds || 0
+    setSavedProgress(null)
+  }, [])
+
+  const startOver = useCallback(() => {
+    sessionIdRef.current = crypto.randomUUID()
+    listenedRef.current = 0
+    playStartedRef.current = null
+    setSaveState('idle')
+    setListenedMinutes(null)
+    setSavedProgress(null)
+    if (userId && meditationRef.current) {
+      clearProgress(userId, meditationRef.current.id)
+    }
+  }, [userId])
+
+  return { savedProgress, saveState, listenedMinutes, resume, startOver }
+}
+
+export default useMeditationProgress
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+
+const QUERY = '(prefers-reduced-motion: reduce)'
+
+const getMatch = () =>
+  typeof window !== 'undefined' && Boolean(window.matchMedia?.(QUERY).matches)
+
+// Whether the user has asked the OS to minimise animation; follows changes live
+const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(getMatch)
+
+  useEffect(() => {
+    const media = window.matchMedia?.(QUERY)
+    if (!media) return
+    const handleChange = () => setReduced(media.matches)
+    media.addEventListener('change', handleChange)
+    return () => media.removeEventListener('change', handleChange)
+  }, [])
+
+  return reduced
+}
+
+export default usePrefersReducedMotion
@@ -0,0 +1,131 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { getAudioContext, resumeAudioContext } from '../audio/context'
+import { createBrainwaveTone } from '../audio/brainwaves'
+import {
+  PROGRAM_CARRIER,
+  normalizeKeyframes,
+  getProgramMinutes,
+  getProgramValues
+} from '../utils/sessionPrograms'
+import { DEFAULT_FADES } from './useFadeSettings'
+
+const TICK_MS = 250
+// A preview squeezes the whole program into this many seconds
+export const PREVIEW_SECONDS = 30
+
+/**
+ * Plays a session program: one brainwave tone whose beat and volume follow
+ * the program's keyframes, routed into `destination`. Time is read from the
+ * AudioContext clock, so pausing the mix pauses the program too. `preview`
+ * runs the same program in PREVIEW_SECONDS.
+ */
+const useProgramPlayer = ({ destination, fades = DEFAULT_FADES } = {}) => {
+  const toneRef = useRef(null)
+  const fadesRef = useRef(fades)
+  const mutedRef = useRef(false)
+  // No volume automation until the opening fade has finished
+  const fadeUntilRef = useRef(0)
+  const [program, setProgram] = useState(null)
+  const [preview, setPreview] = useState(false)
+  const [position, setPosition] = useState(0) // minutes into the program
+  const [muted, setMutedState] = useState(false)
+
+  useEffect(() => {
+    fadesRef.current = fades
+  }, [fades])
+
+  const stop = useCallback((fadeSeconds) => {
+    toneRef.current?.stop(fadeSeconds ?? fadesRef.current.fadeOut)
+    toneRef.current = null
+    setProgram(null)
+    setPosition(0)
+  }, [])
+
+  // Start from a click so the AudioContext is allowed to resume
+  const start = useCallback(async (programToPlay, { preview: isPreview = false, fadeSeconds } = {}) => {
+    const keyframes = normalizeKeyframes(programToPlay.keyframes)
+    if (getProgramMinutes(keyframes) <= 0) return
+
+    const ctx = await resumeAudioContext()
+    const switching = Boolean(toneRef.current)
+    const { fadeIn, crossfade } = fadesRef.current
+    const fade = fadeSeconds ?? (switching ? crossfade : isPreview ? 0.5 : fadeIn)
+    toneRef.current?.stop(crossfade)
+
+    const first = keyframes[0]
+    const tone = createBrainwaveTone({
+      ctx,
+      destination,
+      mode: programToPlay.mode,
+      carrier: PROGRAM_CARRIER,
+      beat: first.beat,
+      volume: mutedRef.current ? 0 : first.volume
+    })
+    tone.fadeIn(fade)
+    toneRef.current = tone
+    fadeUntilRef.current = ctx.currentTime + fade
+
+    setProgram({ ...programToPlay, keyframes })
+    setPreview(isPreview)
+    setPosition(0)
+  }, [destination])
+
+  // Follow the keyframes while a program runs
+  useEffect(() => {
+    if (!program) return
+
+    const ctx = getAudioContext()
+    const startedAt = ctx.currentTime
+    const totalMinutes = getProgramMinutes(program.keyframes)
+    const speed = preview ? (totalMinutes * 60) / PREVIEW_SECONDS : 1
+    const glide = TICK_MS / 1000
+
+    const interval = setInterval(() => {
+      const tone = toneRef.current
+      if (!tone) return
+
+      const minute = Math.min(((ctx.currentTime - startedAt) * speed) / 60, totalMinutes)
+      const { beat, volume } = getProgramValues(program.keyframes, minute)
+      tone.setBeat(beat, glide)
+      if (ctx.currentTime >= fadeUntilRef.current) {
+        tone.setVolume(mutedRef.current ? 0 : volume, glide)
+      }
+      setPosition(minute)
+
+      if (minute >= totalMinutes) {
+        tone.stop(fadesRef.current.fadeOut)
+        toneRef.current = null
+        setProgram(null)
+        setPosition(0)
+      }
+    }, TICK_MS)
+
+    return () => clearInterval(interval)
+  }, [program, preview])
+
+  const setMuted = useCallback((value) => {
+    mutedRef.current = value
+    setMutedState(value)
+    // The next tick restores the keyframe volume when unmuting
+    if (value) toneRef.current?.setVolume(0, 0.2)
+    fadeUntilRef.current = 0
+  }, [])
+
+  // Silence the tone when leaving the page
+  useEffect(() => () => toneRef.current?.stop(), [])
+
+  return {
+    program,
+    preview,
+    playing: program !== null,
+    position,
+    totalMinutes: program ? getProgramMinutes(program.keyframes) : 0,
+    current: program ? getProgramValues(program.keyframes, position) : null,
+    muted,
+    start,
+    stop,
+    setMuted
+  }
+}
+
+export default useProgramPlayer
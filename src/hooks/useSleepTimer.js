@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+const TICK_MS = 250
+
+/**
+ * Sleep timer shared by the meditation player and Sound Healing. Counts down
+ * only while audio plays, fades the level to zero over the last `fadeSeconds`
+ * and then calls `onExpire` so the page can pause (and log what was heard).
+ *
+ * The setting is a number of minutes, or 'end' to stop with the current
+ * track, in which case `getTrackRemaining` supplies the seconds left.
+ * `onFade` receives a multiplier between 0 and 1 for the output level and
+ * `onExpire` the setting that ran out.
+ */
+const useSleepTimer = ({
+  playing,
+  fadeSeconds = 30,
+  getTrackRemaining,
+  onFade,
+  onExpire
+}) => {
+  const [setting, setSetting] = useState(null) // null | minutes | 'end'
+  const [remaining, setRemaining] = useState(null)
+  const remainingRef = useRef(null)
+  const expiredRef = useRef(false)
+  const callbacksRef = useRef({ getTrackRemaining, onFade, onExpire })
+
+  useEffect(() => {
+    callbacksRef.current = { getTrackRemaining, onFade, onExpire }
+  })
+
+  const start = useCallback((value) => {
+    const seconds = typeof value === 'number' ? value * 60 : null
+    remainingRef.current = seconds
+    setSetting(value)
+    setRemaining(seconds)
+    // Undo a fade that was already under way
+    callbacksRef.current.onFade(1)
+  }, [])
+
+  const cancel = useCallback(() => start(null), [start])
+
+  useEffect(() => {
+    if (!playing || setting === null) return
+
+    let last = Date.now()
+    const interval = setInterval(() => {
+      const now = Date.now()
+      let left
+      if (setting === 'end') {
+        left = callbacksRef.current.getTrackRemaining?.()
+        if (left === null || left === undefined || !Number.isFinite(left)) return
+      } else {
+        left = Math.max(0, remainingRef.current - (now - last) / 1000)
+        remainingRef.current = left
+      }
+      last = now
+      setRemaining(left)
+
+      if (left <= fadeSeconds) {
+        callbacksRef.current.onFade(Math.max(0, left / fadeSeconds))
+      }
+      if (left <= 0) {
+        remainingRef.current = null
+        setSetting(null)
+        setRemaining(null)
+        expiredRef.current = true
+        callbacksRef.current.onExpire(setting)
+      }
+    }, TICK_MS)
+
+    return () => clearInterval(interval)
+  }, [playing, setting, fadeSeconds])
+
+  // Back to full level when playback starts again, not at expiry while the
+  // audio is still stopping
+  useEffect(() => {
+    if (playing && expiredRef.current) {
+      expiredRef.current = false
+      callbacksRef.current.onFade(1)
+    }
+  }, [playing])
+
+  return {
+    setting,
+    remaining,
+    fading: remaining !== null && remaining <= fadeSeconds,
+    start,
+    cancel
+  }
+}
+
+export default useSleepTimer
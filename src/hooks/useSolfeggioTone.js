@@ -0,0 +1,39 @@
+import { useCallback } from 'react'
+import { SOLFEGGIO_TONES, createSolfeggioTone } from '../audio/solfeggio'
+import useToneVoice, { pickSetting } from './useToneVoice'
+
+const TONE_IDS = SOLFEGGIO_TONES.map(tone => tone.hz)
+
+const initialSettings = () => ({ timbre: 'pure', volume: 0.5 })
+
+const createVoice = ({ id, settings, volume, destination }) =>
+  createSolfeggioTone({ destination, frequency: id, timbre: settings.timbre, volume })
+
+/**
+ * One live solfeggio tone at a time, routed into `destination` (the
+ * soundscape mixer). Each tone keeps its own timbre and volume. `play`
+ * accepts { timbre, volume, muted, fadeSeconds } to restore a saved mix.
+ */
+const useSolfeggioTone = ({ destination, fades } = {}) => {
+  const voice = useToneVoice({ ids: TONE_IDS, initialSettings, createVoice, destination, fades })
+  const { revoice } = voice
+
+  // Changing the timbre of the playing tone crossfades to the new voice
+  const setTimbre = useCallback((hz, timbre) => revoice(hz, { timbre }), [revoice])
+
+  return {
+    activeHz: voice.activeId,
+    playing: voice.playing,
+    volumes: pickSetting(voice.settings, 'volume'),
+    timbres: pickSetting(voice.settings, 'timbre'),
+    muted: voice.muted,
+    play: voice.play,
+    stop: voice.stop,
+    toggle: voice.toggle,
+    setTimbre,
+    setVolume: voice.setVolume,
+    setMuted: voice.setMuted
+  }
+}
+
+export default useSolfeggioTone
@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import { getAudioContext, resumeAudioContext, rampParam } from '../audio/context'
+import { SOUNDSCAPE_LOOPS } from '../audio/ambience'
+import { createLoopLayer } from '../audio/soundscape'
+import { DEFAULT_FADES } from './useFadeSettings'
+
+const initialLoops = () => Object.fromEntries(
+  SOUNDSCAPE_LOOPS.map(loop => [loop.id, { active: false, volume: 0.5, muted: false }])
+)
+
+/**
+ * The Sound Healing mix: ambient loops plus anything routed into `master`
+ * (the brainwave tone), under one master volume. `setLevel` scales the
+ * whole mix without moving the master slider; the sleep timer uses it to
+ * fade out. `pause` and `resume` hold everything by suspending the
+ * AudioContext, for lock-screen controls. Loops fade in and out over
+ * `fades.fadeIn` and `fades.fadeOut`.
+ */
+const useSoundscape = ({ fades = DEFAULT_FADES } = {}) => {
+  const [master] = useState(() => {
+    const gain = getAudioContext().createGain()
+    gain.gain.value = 0.8
+    return gain
+  })
+  // Taps the whole mix, for the visualizer
+  const [analyser] = useState(() => {
+    const node = getAudioContext().createAnalyser()
+    node.fftSize = 2048
+    return node
+  })
+  const layersRef = useRef({})
+  const levelRef = useRef(1)
+  const [masterVolume, setMasterVolumeState] = useState(0.8)
+  const [loops, setLoops] = useState(initialLoops)
+  const [paused, setPaused] = useState(false)
+  const pausedRef = useRef(false)
+
+  const updateLoop = (id, changes) => {
+    setLoops(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }))
+  }
+
+  useEffect(() => {
+    const ctx = getAudioContext()
+    const layers = layersRef.current
+    master.connect(ctx.destination)
+    master.connect(analyser)
+
+    // Anything else resuming the context (a play button) ends the pause
+    const handleStateChange = () => {
+      if (ctx.state === 'running') {
+        pausedRef.current = false
+        setPaused(false)
+      }
+    }
+    ctx.addEventListener('statechange', handleStateChange)
+
+    return () => {
+      ctx.removeEventListener('statechange', handleStateChange)
+      Object.values(layers).forEach(layer => layer.stop(0.3))
+      master.disconnect()
+      // Leave the shared context usable for other pages
+      if (pausedRef.current) ctx.resume()
+    }
+  }, [master, analyser])
+
+  const startLoop = useCallback(async (id, { volume, muted }) => {
+    const loop = SOUNDSCAPE_LOOPS.find(l => l.id === id)
+    await resumeAudioContext()
+    layersRef.current[id]?.stop(0.3)
+
+    const layer = createLoopLayer({ destination: master, src: loop.src, volume: muted ? 0 : volume })
+    layersRef.current[id] = layer
+    updateLoop(id, { active: true, volume, muted })
+
+    try {
+      await layer.play(fades.fadeIn)
+    } catch (error) {
+      console.error(`Error playing ${loop.name}:`, error)
+      if (layersRef.current[id] === layer) {
+        layer.stop(0)
+        delete layersRef.current[id]
+        updateLoop(id, { active: false })
+      }
+      toast.error(`${loop.name} could not be played`)
+    }
+  }, [master, fades.fadeIn])
+
+  const stopLoop = useCallback((id, fadeSeconds) => {
+    layersRef.current[id]?.stop(fadeSeconds ?? fades.fadeOut)
+    delete layersRef.current[id]
+    updateLoop(id, { active: false })
+  }, [fades.fadeOut])
+
+  const toggleLoop = useCallback((id) => {
+    if (loops[id].active) stopLoop(id)
+    else startLoop(id, loops[id])
+  }, [loops, startLoop, stopLoop])
+
+  const setLoopVolume = useCallback((id, volume) => {
+    updateLoop(id, { volume })
+    if (!loops[id].muted) layersRef.current[id]?.setVolume(volume)
+  }, [loops])
+
+  const toggleLoopMute = useCallback((id) => {
+    const muted = !loops[id].muted
+    updateLoop(id, { muted })
+    layersRef.current[id]?.setVolume(muted ? 0 : loops[id].volume, 0.2)
+  }, [loops])
+
+  const setMasterVolume = useCallback((value) => {
+    setMasterVolumeState(value)
+    rampParam(getAudioContext(), master.gain, value * levelRef.current, 0.1)
+  }, [master])
+
+  const setLevel = useCallback((level) => {
+    levelRef.current = level
+    rampParam(getAudioContext(), master.gain, masterVolume * level, 0.25)
+  }, [master, masterVolume])
+
+  const stopAll = useCallback((fadeSeconds) => {
+    Object.keys(layersRef.current).forEach(id => stopLoop(id, fadeSeconds))
+  }, [stopLoop])
+
+  const pause = useCallback(async () => {
+    pausedRef.current = true
+    setPaused(true)
+    await getAudioContext().suspend()
+  }, [])
+
+  const resume = useCallback(() => resumeAudioContext(), [])
+
+  // Bring the loops in line with a saved mix: { [loopId]: { volume, muted } }
+  const restoreLoops = useCallback((settings = {}) => {
+    SOUNDSCAPE_LOOPS.forEach(loop => {
+      const saved = settings[loop.id]
+      if (saved) {
+        startLoop(loop.id, { volume: saved.volume, muted: Boolean(saved.muted) })
+      } else if (layersRef.current[loop.id]) {
+        stopLoop(loop.id)
+      }
+    })
+  }, [startLoop, stopLoop])
+
+  return {
+    master,
+    analyser,
+    masterVolume,
+    loops,
+    playing: Object.values(loops).some(loop => loop.active),
+    paused,
+    toggleLoop,
+    setLoopVolume,
+    toggleLoopMute,
+    setMasterVolume,
+    setLevel,
+    stopAll,
+    pause,
+    resume,
+    restoreLoops
+  }
+}
+
+export default useSoundscape
@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { resumeAudioContext } from '../audio/context'
+import { DEFAULT_FADES } from './useFadeSettings'
+
+// Crossfade when a setting needs a new voice, e.g. another timbre
+const REVOICE_SECONDS = 0.5
+
+const keepSettings = (id, settings) => settings
+
+const withoutEmpty = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null))
+
+/**
+ * One live generated tone at a time out of `ids`, routed into `destination`
+ * (the soundscape mixer). Each id keeps its own settings, starting from
+ * `initialSettings(id)` and always including `volume`, so switching back
+ * restores them; mute applies to whichever tone is playing.
+ *
+ * `createVoice({ id, settings, volume, destination })` builds the sound and
+ * returns { fadeIn, setVolume, stop }; `normalize(id, settings)` can clamp
+ * settings before they are used. Both should be defined outside components.
+ * `fades` sets the fade in, fade out and the crossfade used when one tone
+ * replaces another.
+ */
+const useToneVoice = ({
+  ids,
+  initialSettings,
+  createVoice,
+  normalize = keepSettings,
+  destination,
+  fades = DEFAULT_FADES
+}) => {
+  const voiceRef = useRef(null)
+  const [activeId, setActiveId] = useState(null)
+  const [settings, setSettings] = useState(() =>
+    Object.fromEntries(ids.map(id => [id, initialSettings(id)]))
+  )
+  const [muted, setMutedState] = useState(false)
+
+  const stop = useCallback((fadeSeconds) => {
+    voiceRef.current?.stop(fadeSeconds ?? fades.fadeOut)
+    voiceRef.current = null
+    setActiveId(null)
+  }, [fades.fadeOut])
+
+  const startVoice = useCallback((id, values, volume, fadeSeconds) => {
+    const voice = createVoice({ id, settings: values, volume, destination })
+    voice.fadeIn(fadeSeconds)
+    voiceRef.current = voice
+  }, [createVoice, destination])
+
+  // Start from a click so the AudioContext is allowed to resume. `overrides`
+  // replace the id's current settings (and mute) when restoring a saved mix;
+  // `fadeSeconds` overrides the fade in.
+  const play = useCallback(async (id, overrides = {}) => {
+    await resumeAudioContext()
+    const { fadeSeconds: fadeOverride, muted: mutedOverride, ...changes } = overrides
+    const switching = Boolean(voiceRef.current)
+    const fadeSeconds = fadeOverride ?? (switching ? fades.crossfade : fades.fadeIn)
+    voiceRef.current?.stop(fades.crossfade)
+
+    const values = normalize(id, { ...settings[id], ...withoutEmpty(changes) })
+    const isMuted = mutedOverride ?? muted
+
+    setSettings(prev => ({ ...prev, [id]: values }))
+    setMutedState(isMuted)
+    startVoice(id, values, isMuted ? 0 : values.volume, fadeSeconds)
+    setActiveId(id)
+  }, [settings, muted, fades, normalize, startVoice])
+
+  const toggle = useCallback((id, overrides) => {
+    if (activeId === id) stop()
+    else play(id, overrides)
+  }, [activeId, play, stop])
+
+  // Settings the voice is built from; the playing tone crossfades to a new voice
+  const revoice = useCallback((id, changes) => {
+    const values = normalize(id, { ...settings[id], ...changes })
+    setSettings(prev => ({ ...prev, [id]: values }))
+    if (id !== activeId) return
+    voiceRef.current?.stop(REVOICE_SECONDS)
+    startVoice(id, values, muted ? 0 : values.volume, REVOICE_SECONDS)
+  }, [settings, activeId, muted, normalize, startVoice])
+
+  // Settings the playing voice can follow in place through `apply(voice)`
+  const update = useCallback((id, changes, apply) => {
+    setSettings(prev => ({ ...prev, [id]: normalize(id, { ...prev[id], ...changes }) }))
+    if (id === activeId && voiceRef.current) apply(voiceRef.current)
+  }, [activeId, normalize])
+
+  const setVolume = useCallback((id, value) => {
+    update(id, { volume: value }, voice => {
+      if (!muted) voice.setVolume(value)
+    })
+  }, [update, muted])
+
+  const setMuted = useCallback((value) => {
+    setMutedState(value)
+    if (activeId !== null) voiceRef.current?.setVolume(value ? 0 : settings[activeId].volume, 0.2)
+  }, [activeId, settings])
+
+  // Silence the tone when leaving the page
+  useEffect(() => () => voiceRef.current?.stop(), [])
+
+  return {
+    activeId,
+    playing: activeId !== null,
+    settings,
+    muted,
+    play,
+    stop,
+    toggle,
+    revoice,
+    update,
+    setVolume,
+    setMuted
+  }
+}
+
+// { id: settings } -> { id: settings[key] }
+export const pickSetting = (settings, key) =>
+  Object.fromEntries(Object.entries(settings).map(([id, values]) => [id, values[key]]))
+
+export default useToneVoice
@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react'
+import { motion } from 'framer-motion'
+import { BREATHING_PATTERNS, buildPattern } from '../utils/breathing'
+import { resumeAudioContext } from '../audio/context'
+import BreathingPacer from '../components/BreathingPacer'
+
+const CUSTOM_FIELDS = [
+  { key: 'inhale', label: 'Inhale', min: 1 },
+  { key: 'holdIn', label: 'Hold', min: 0 },
+  { key: 'exhale', label: 'Exhale', min: 1 },
+  { key: 'holdOut', label: 'Hold', min: 0 }
+]
+
+const Breathwork = () => {
+  const [patternId, setPatternId] = useState(BREATHING_PATTERNS[0].id)
+  const [custom, setCustom] = useState({ inhale: 4, holdIn: 2, exhale: 6, holdOut: 0 })
+  const [running, setRunning] = useState(false)
+  const [sessionKey, setSessionKey] = useState(0)
+  const [soundCues, setSoundCues] = useState(true)
+  const [haptics, setHaptics] = useState(false)
+  const canVibrate = typeof navigator !== 'undefined' && 'vibrate' in navigator
+
+  const pattern = useMemo(() => (
+    patternId === 'custom'
+      ? buildPattern({ description: 'Your own rhythm, in seconds per phase.', ...custom })
+      : BREATHING_PATTERNS.find(p => p.id === patternId)
+  ), [patternId, custom])
+
+  const selectPattern = (id) => {
+    setPatternId(id)
+    setRunning(false)
+  }
+
+  const updateCustom = (key, value) => {
+    const field = CUSTOM_FIELDS.find(f => f.key === key)
+    const seconds = Math.min(Math.max(parseInt(value, 10) || 0, field.min), 20)
+    setCustom(prev => ({ ...prev, [key]: seconds }))
+    setRunning(false)
+  }
+
+  const toggleRunning = async () => {
+    if (!running && soundCues) {
+      await resumeAudioContext()
+    }
+    setRunning(prev => !prev)
+  }
+
+  const reset = () => {
+    setRunning(false)
+    setSessionKey(key => key + 1)
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4">
+      <div className="max-w-5xl mx-auto">
+        {/* Hero Section */}
+        <motion.div
+          className="text-center mb-12"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+        >
+          <h1 className="text-5xl font-bold mb-6 bg-clip-text text-transparent bg-gradient-to-r from-primary via-primary/80 to-primary">
+            Breathwork
+          </h1>
+          <p className="text-xl text-gray-400 max-w-2xl mx-auto">
+            Follow the circle: breathe in as it grows, out as it softens. Choose a rhythm that suits the moment.
+          </p>
+        </motion.div>
+
+        {/* Pattern Picker */}
+        <div className="flex flex-wrap justify-center gap-4 mb-6">
+          {[...BREATHING_PATTERNS, { id: 'custom', name: 'Custom' }].map(option => (
+            <motion.button
+              key={option.id}
+              onClick={() => selectPattern(option.id)}
+              className={`px-6 py-3 rounded-full text-lg transition-all ${
+                patternId === option.id
+                  ? 'bg-primary text-dark-300'
+                  : 'bg-dark-100 text-gray-400 hover:bg-primary/10 hover:text-primary'
+              }`}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {option.name}
+            </motion.button>
+          ))}
+        </div>
+        <p className="text-center text-gray-400 mb-8">{pattern.description}</p>
+
+        {patternId === 'custom' && (
+          <div className="flex flex-wrap justify-center gap-4 mb-8">
+            {CUSTOM_FIELDS.map(field => (
+              <label key={field.key} className="flex flex-col items-center text-sm text-gray-400">
+                {field.label}
+                <input
+                  type="number"
+                  min={field.min}
+                  max="20"
+                  value={custom[field.key]}
+                  onChange={(e) => updateCustom(field.key, e.target.value)}
+                  className="mt-2 w-20 bg-dark-100 text-white text-center rounded-full px-3 py-2 border-none focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        {/* Pacer */}
+        <div className="bg-dark-100 rounded-3xl p-12 border border-primary/20 flex flex-col items-center">
+          <BreathingPacer
+            key={`${pattern.id}-${sessionKey}`}
+            pattern={pattern}
+            running={running}
+            soundCues={soundCues}
+            haptics={haptics}
+          />
+
+          <div className="flex items-center gap-4 mt-8">
+            <motion.button
+              onClick={toggleRunning}
+              className="bg-primary text-dark-300 px-8 py-3 rounded-full text-lg font-medium hover:bg-primary/90 transition-all"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {running ? 'Pause' : 'Start'}
+            </motion.button>
+            <button
+              onClick={reset}
+              className="px-6 py-3 rounded-full bg-dark-200 text-gray-400 hover:text-primary transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+
+          <div className="flex flex-wrap justify-center gap-6 mt-8 text-gray-400">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={soundCues}
+                onChange={(e) => setSoundCues(e.target.checked)}
+                className="rounded bg-dark-200 border-primary/40 text-primary focus:ring-primary"
+              />
+              Sound cues
+            </label>
+            {canVibrate && (
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={haptics}
+                  onChange={(e) => setHaptics(e.target.checked)}
+                  className="rounded bg-dark-200 border-primary/40 text-primary focus:ring-primary"
+                />
+                Vibration
+              </label>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Breathwork
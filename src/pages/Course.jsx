@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { useAuth } from '../contexts/AuthContext'
+import {
+  fetchCourse,
+  fetchCourseProgress,
+  enrollInCourse,
+  getLessonStates,
+  countCompletedLessons,
+  lessonPath
+} from '../utils/courses'
+
+const formatUnlockTime = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+
+const Course = () => {
+  const { slug } = useParams()
+  const navigate = useNavigate()
+  const { currentUser } = useAuth()
+  const [course, setCourse] = useState(null)
+  const [progress, setProgress] = useState({ enrollments: {}, completedLessonIds: new Set() })
+  const [loading, setLoading] = useState(true)
+  const [enrolling, setEnrolling] = useState(false)
+
+  useEffect(() => {
+    if (!currentUser) return
+    let cancelled = false
+
+    const loadCourse = async () => {
+      try {
+        setLoading(true)
+        const [data, userProgress] = await Promise.all([
+          fetchCourse(slug),
+          fetchCourseProgress(currentUser.id)
+        ])
+        if (cancelled) return
+        setCourse(data)
+        setProgress(userProgress)
+      } catch (error) {
+        console.error('Error fetching course:', error)
+        if (!cancelled) toast.error('Failed to load course')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadCourse()
+    return () => {
+      cancelled = true
+    }
+  }, [slug, currentUser])
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-dark-300 flex items-center justify-center">
+        <div className="w-10 h-10 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  if (!course) {
+    return (
+      <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4 flex flex-col items-center justify-center text-center">
+        <h1 className="text-3xl font-bold text-white mb-4">Course not found</h1>
+        <Link to="/meditation" className="text-primary hover:underline">
+          Back to meditations
+        </Link>
+      </div>
+    )
+  }
+
+  const startedAt = progress.enrollments[course.id]
+  const lessons = getLessonStates(course, startedAt, progress.completedLessonIds)
+  const completedCount = countCompletedLessons(course, progress.completedLessonIds)
+  const nextLesson = lessons.find(lesson => lesson.status === 'available')
+  const finished = completedCount === lessons.length && lessons.length > 0
+
+  const startCourse = async () => {
+    try {
+      setEnrolling(true)
+      await enrollInCourse(currentUser.id, course.id)
+      setProgress(prev => ({
+        ...prev,
+        enrollments: { ...prev.enrollments, [course.id]: new Date().toISOString() }
+      }))
+      navigate(lessonPath(course, course.lessons[0]))
+    } catch (error) {
+      console.error('Error starting course:', error)
+      toast.error('Failed to start course')
+    } finally {
+      setEnrolling(false)
+    }
+  }
+
+  const lockedHint = (lesson, index) => {
+    if (!startedAt) return 'Start the course to unlock'
+    return `Finish Day ${lessons[index - 1].day} or wait until ${formatUnlockTime(lesson.unlocksAt)}`
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4">
+      <div className="max-w-4xl mx-auto">
+        <Link to="/meditation" className="inline-flex items-center gap-2 text-gray-400 hover:text-primary transition-colors mb-8">
+          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          All meditations
+        </Link>
+
+        {/* Course Overview */}
+        <motion.div
+          className="bg-dark-100 rounded-3xl p-8 md:p-12 border border-primary/20 mb-12 relative overflow-hidden"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+        >
+          <div className="absolute inset-0 overflow-hidden opacity-10 pointer-events-none">
+            <div className="absolute -top-24 -right-24 w-96 h-96 rounded-full bg-primary blur-3xl" />
+          </div>
+          <div className="relative z-10">
+            <span className="inline-block bg-dark-300/80 px-4 py-1 rounded-full text-primary text-sm mb-4">
+              {course.levelLabel} • {lessons.length} days
+            </span>
+            <h1 className="text-4xl md:text-5xl font-bold text-white mb-4">{course.title}</h1>
+            <p className="text-xl text-gray-400 mb-8 max-w-2xl">{course.description}</p>
+
+            <div className="mb-8">
+              <div className="flex justify-between text-sm text-gray-400 mb-2">
+                <span>Your progress</span>
+                <span>{completedCount} of {lessons.length} lessons</span>
+              </div>
+              <div className="w-full h-2 bg-dark-300 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-primary rounded-full transition-all duration-500"
+                  style={{ width: `${lessons.length ? (completedCount / lessons.length) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+
+            {!startedAt ? (
+              <motion.button
+                onClick={startCourse}
+                disabled={enrolling || lessons.length === 0}
+                className="bg-primary text-dark-300 px-8 py-3 rounded-full text-lg font-medium hover:bg-primary/90 transition-all disabled:opacity-50"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Start Course
+              </motion.button>
+            ) : finished ? (
+              <p className="text-primary text-lg">🎉 Course complete. Revisit any lesson below.</p>
+            ) : nextLesson && (
+              <motion.button
+                onClick={() => navigate(lessonPath(course, nextLesson))}
+                className="bg-primary text-dark-300 px-8 py-3 rounded-full text-lg font-medium hover:bg-primary/90 transition-all"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Continue with Day {nextLesson.day}
+              </motion.button>
+            )}
+          </div>
+        </motion.div>
+
+        {/* Lessons */}
+        <ol className="space-y-4">
+          {lessons.map((lesson, index) => (
+            <motion.li
+              key={lesson.id}
+              className={`flex items-center gap-4 bg-dark-100 rounded-2xl p-6 border transition-all ${
+                lesson.status === 'locked' ? 'border-dark-200 opacity-60' : 'border-primary/20 hover:border-primary/40'
+              }`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: lesson.status === 'locked' ? 0.6 : 1, y: 0 }}
+              transition={{ duration: 0.3, delay: Math.min(index * 0.03, 0.6) }}
+            >
+              <div className={`w-12 h-12 shrink-0 rounded-full flex items-center justify-center font-semibold ${
+                lesson.status === 'completed' ? 'bg-primary text-dark-300' : 'bg-dark-200 text-primary'
+              }`}>
+                {lesson.status === 'completed' ? '✓' : lesson.status === 'locked' ? '🔒' : lesson.day}
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-500">Day {lesson.day} • {lesson.durationMinutes} min</p>
+                <h3 className="text-lg font-semibold text-white">{lesson.title}</h3>
+                <p className="text-gray-400 text-sm">
+                  {lesson.status === 'locked' ? lockedHint(lesson, index) : lesson.description}
+                </p>
+              </div>
+              {lesson.status !== 'locked' && (
+                <motion.button
+                  onClick={() => navigate(lessonPath(course, lesson))}
+                  className={`px-5 py-2 rounded-full text-sm transition-colors ${
+                    lesson.status === 'completed'
+                      ? 'bg-dark-200 text-gray-400 hover:text-primary'
+                      : 'bg-primary text-dark-300 font-medium hover:bg-primary/90'
+                  }`}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  {lesson.status === 'completed' ? 'Replay' : 'Begin'}
+                </motion.button>
+              )}
+            </motion.li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  )
+}
+
+export default Course
@@ -1,7 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react'
 import { motion } from 'framer-motion'
+import { SPIRITUAL_GUIDES } from '../utils/spiritualGuides'
+import useChatGuide from '../hooks/useChatGuide'
 
 const DivineChat = () => {
+  const [guide, selectGuide] = useChatGuide()
   const [messages, setMessages] = useState([])
   const [inputMessage, setInputMessage] = useState('')
   const [isRecording, setIsRecording] = useState(false)
@@ -12,16 +15,26 @@ const DivineChat = () => {
   const websocketRef = useRef(null)
   const chatId = useRef(crypto.randomUUID())
 
-  // Add initial greeting message
+  // Each guide starts a fresh conversation with its greeting
   useEffect(() => {
+    if (websocketRef.current) {
+      // Drop the previous guide's reply rather than let it land in the new chat
+      websocketRef.current.onmessage = null
+      websocketRef.current.onerror = null
+      websocketRef.current.onclose = null
+      websocketRef.current.close()
+      websocketRef.current = null
+    }
+    chatId.current = crypto.randomUUID()
+    setIsTyping(false)
     setMessages([
       {
         id: Date.now(),
-        text: "Namaste! I am your spiritual guide. How may I assist you on your journey today?",
+        text: guide.greeting,
         isBot: true
       }
     ])
-  }, [])
+  }, [guide])
 
   const handleQuickResponse = (text) => {
     addMessage(text, false)
@@ -100,7 +113,7 @@ const DivineChat = () => {
         JSON.stringify({
           chatId: chatId.current,
           appId: "quality-among",
-          systemPrompt: "You are a spiritual guide providing wisdom and guidance. Focus on meditation, mindfulness, and inner peace. Maintain a compassionate and enlightening tone.",
+          systemPrompt: guide.systemPrompt,
           message: message,
         })
       )
@@ -248,8 +261,45 @@ const DivineChat = () => {
           </p>
         </motion.div>
 
+        {/* Guide Selection */}
+        <div className="mb-8">
+          <h2 className="text-xl text-white mb-4">Choose Your Spiritual Guide</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4" role="radiogroup" aria-label="Spiritual guide">
+            {SPIRITUAL_GUIDES.map(option => (
+              <motion.button
+                key={option.id}
+                onClick={() => option.id !== guide.id && selectGuide(option.id)}
+                role="radio"
+                aria-checked={guide.id === option.id}
+                className={`p-4 rounded-2xl border-2 text-left transition-all ${
+                  guide.id === option.id
+                    ? `border-primary bg-gradient-to-r ${option.color}`
+                    : 'border-primary/20 bg-dark-100/60 hover:border-primary/40'
+                }`}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <div className="text-4xl mb-2">{option.avatar}</div>
+                <h3 className="text-white font-semibold">{option.name}</h3>
+                <p className="text-gray-400 text-sm">{option.description}</p>
+              </motion.button>
+            ))}
+          </div>
+        </div>
+
         {/* Chat Interface */}
         <div className="bg-dark-100/80 backdrop-blur-lg rounded-3xl p-8 border border-primary/20 shadow-xl">
+          {/* Chat Header */}
+          <div className="flex items-center gap-4 pb-6 mb-6 border-b border-primary/20">
+            <div className={`w-12 h-12 rounded-full bg-gradient-to-r ${guide.color} flex items-center justify-center text-2xl`}>
+              {guide.avatar}
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-white">{guide.name}</h2>
+              <p className="text-sm text-gray-400">{guide.description}</p>
+            </div>
+          </div>
+
           {/* Messages */}
           <div className="h-[500px] overflow-y-auto mb-8 space-y-6">
             {messages.map((message, index) => (
@@ -288,12 +338,7 @@ const DivineChat = () => {
 
           {/* Quick Responses */}
           <div className="flex flex-wrap gap-2 mb-6">
-            {[
-              "How can I find inner peace?",
-              "What is meditation?",
-              "How to handle stress?",
-              "Guide me to mindfulness"
-            ].map((response, index) => (
+            {guide.suggestedQuestions.map((response, index) => (
               <motion.button
                 key={index}
                 onClick={() => handleQuickResponse(response)}
@@ -323,7 +368,7 @@ const DivineChat = () => {
               value={inputMessage}
               onChange={(e) => setInputMessage(e.target.value)}
               onKeyPress={(e) => e.key === 'Enter' && handleSubmit(e)}
-              placeholder="Type your message..."
+              placeholder={`Ask ${guide.name} anything...`}
               className="flex-1 bg-dark-200/80 text-white rounded-full px-6 py-3 focus:outline-none focus:ring-2 focus:ring-primary placeholder-gray-400"
             />
             <motion.button
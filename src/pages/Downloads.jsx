@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigate, Link } from 'react-router-dom'
+import useDownloads from '../hooks/useDownloads'
+import { getStorageUsage, formatBytes } from '../utils/downloads'
+
+const KIND_LABELS = {
+  meditation: 'Meditation'
+}
+
+const Downloads = () => {
+  const navigate = useNavigate()
+  const { supported, downloads, remove } = useDownloads()
+  const [usage, setUsage] = useState({ used: 0, quota: null })
+
+  const items = Object.values(downloads)
+    .sort((a, b) => new Date(b.downloadedAt) - new Date(a.downloadedAt))
+
+  // Refresh the totals whenever something is added or removed
+  useEffect(() => {
+    getStorageUsage().then(setUsage)
+  }, [downloads])
+
+  const play = (item) => {
+    navigate(`/meditation/${item.meta.id}`)
+  }
+
+  const removeAll = async () => {
+    if (!window.confirm('Remove all downloads from this device?')) return
+    for (const item of items) {
+      await remove(item.id)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4">
+      <div className="max-w-4xl mx-auto">
+        {/* Hero Section */}
+        <motion.div
+          className="text-center mb-12"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+        >
+          <h1 className="text-5xl font-bold mb-6 bg-clip-text text-transparent bg-gradient-to-r from-primary via-primary/80 to-primary">
+            Downloads
+          </h1>
+          <p className="text-xl text-gray-400 max-w-2xl mx-auto">
+            Audio saved on this device plays without a connection, on a plane or wherever the signal drops
+          </p>
+        </motion.div>
+
+        {!supported ? (
+          <div className="bg-dark-100 rounded-2xl p-12 text-center border border-primary/20">
+            <p className="text-gray-400">This browser does not support offline downloads.</p>
+          </div>
+        ) : (
+          <>
+            {/* Storage */}
+            <div className="bg-dark-100 rounded-2xl p-6 border border-primary/20 mb-8">
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-white font-medium">Storage used</span>
+                <span className="text-gray-400">
+                  {formatBytes(usage.used)}
+                  {usage.quota && ` of ${formatBytes(usage.quota)} available`}
+                </span>
+              </div>
+              {usage.quota && (
+                <div className="w-full h-2 bg-dark-300 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-primary rounded-full"
+                    style={{ width: `${Math.min(100, Math.max(1, (usage.used / usage.quota) * 100))}%` }}
+                  />
+                </div>
+              )}
+            </div>
+
+            {items.length === 0 ? (
+              <div className="bg-dark-100 rounded-2xl p-12 text-center border border-primary/20">
+                <div className="text-4xl mb-4">📥</div>
+                <p className="text-gray-400 mb-6">
+                  Nothing downloaded yet. Use the download button on a meditation.
+                </p>
+                <Link to="/meditation" className="text-primary hover:underline">Browse meditations</Link>
+              </div>
+            ) : (
+              <>
+                <ul className="space-y-3">
+                  <AnimatePresence>
+                    {items.map(item => (
+                      <motion.li
+                        key={item.id}
+                        layout
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, x: -20 }}
+                        className="flex items-center gap-4 bg-dark-100 rounded-2xl p-5 border border-primary/20"
+                      >
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm text-primary">{KIND_LABELS[item.kind] || item.kind}</p>
+                          <h3 className="text-lg font-semibold text-white truncate">{item.title}</h3>
+                          <p className="text-sm text-gray-500">
+                            {formatBytes(item.size)} • saved {new Date(item.downloadedAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <motion.button
+                          onClick={() => play(item)}
+                          className="px-5 py-2 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                        >
+                          Play
+                        </motion.button>
+                        <button
+                          onClick={() => remove(item.id)}
+                          className="p-2 rounded-full text-gray-400 hover:text-red-400 transition-colors"
+                          aria-label={`Delete ${item.title}`}
+                        >
+                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      </motion.li>
+                    ))}
+                  </AnimatePresence>
+                </ul>
+                <div className="text-right mt-6">
+                  <button
+                    onClick={removeAll}
+                    className="text-sm text-gray-400 hover:text-red-400 transition-colors"
+                  >
+                    Remove all downloads
+                  </button>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Downloads
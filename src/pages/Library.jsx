@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigate, Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { useAuth } from '../contexts/AuthContext'
+import { fetchMeditations } from '../utils/meditations'
+import {
+  fetchPlaylists,
+  createPlaylist,
+  renamePlaylist,
+  deletePlaylist,
+  savePlaylistItems,
+  playlistTrackPath
+} from '../utils/library'
+import useFavorites from '../hooks/useFavorites'
+import MeditationCard from '../components/MeditationCard'
+import PlaylistPanel from '../components/PlaylistPanel'
+
+const Library = () => {
+  const navigate = useNavigate()
+  const { currentUser } = useAuth()
+  const { favoriteIds, toggleFavorite } = useFavorites(currentUser?.id)
+  const [meditations, setMeditations] = useState([])
+  const [playlists, setPlaylists] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [newPlaylistName, setNewPlaylistName] = useState('')
+  const [creating, setCreating] = useState(false)
+
+  useEffect(() => {
+    if (!currentUser) return
+    let cancelled = false
+
+    const loadLibrary = async () => {
+      try {
+        setLoading(true)
+        const [catalogue, userPlaylists] = await Promise.all([
+          fetchMeditations(),
+          fetchPlaylists(currentUser.id)
+        ])
+        if (cancelled) return
+        setMeditations(catalogue)
+        setPlaylists(userPlaylists)
+      } catch (error) {
+        console.error('Error fetching library:', error)
+        if (!cancelled) toast.error('Failed to load your library')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadLibrary()
+    return () => {
+      cancelled = true
+    }
+  }, [currentUser])
+
+  const meditationsById = useMemo(
+    () => Object.fromEntries(meditations.map(m => [m.id, m])),
+    [meditations]
+  )
+  const favorites = meditations.filter(m => favoriteIds.has(m.id))
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!newPlaylistName.trim()) return
+    try {
+      setCreating(true)
+      const playlist = await createPlaylist(currentUser.id, newPlaylistName)
+      setPlaylists(prev => [...prev, playlist])
+      setNewPlaylistName('')
+    } catch (error) {
+      console.error('Error creating playlist:', error)
+      toast.error('Failed to create playlist')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const replacePlaylist = (playlistId, changes) => {
+    setPlaylists(prev => prev.map(p => (p.id === playlistId ? { ...p, ...changes } : p)))
+  }
+
+  const handleRename = async (playlist, name) => {
+    replacePlaylist(playlist.id, { name })
+    try {
+      await renamePlaylist(playlist.id, name)
+    } catch (error) {
+      console.error('Error renaming playlist:', error)
+      replacePlaylist(playlist.id, { name: playlist.name })
+      toast.error('Failed to rename playlist')
+    }
+  }
+
+  const handleDelete = async (playlist) => {
+    if (!window.confirm(`Delete "${playlist.name}"?`)) return
+    try {
+      await deletePlaylist(playlist.id)
+      setPlaylists(prev => prev.filter(p => p.id !== playlist.id))
+      toast.success('Playlist deleted')
+    } catch (error) {
+      console.error('Error deleting playlist:', error)
+      toast.error('Failed to delete playlist')
+    }
+  }
+
+  const handleChangeItems = async (playlist, meditationIds) => {
+    replacePlaylist(playlist.id, { meditationIds })
+    try {
+      await savePlaylistItems(playlist.id, meditationIds)
+    } catch (error) {
+      console.error('Error saving playlist:', error)
+      replacePlaylist(playlist.id, { meditationIds: playlist.meditationIds })
+      toast.error('Failed to save playlist')
+    }
+  }
+
+  const handlePlay = (playlist) => {
+    navigate(playlistTrackPath(playlist, 0))
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Hero Section */}
+        <motion.div
+          className="text-center mb-16"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+        >
+          <h1 className="text-5xl font-bold mb-6 bg-clip-text text-transparent bg-gradient-to-r from-primary via-primary/80 to-primary">
+            My Library
+          </h1>
+          <p className="text-xl text-gray-400 max-w-2xl mx-auto">
+            Your favorite meditations and the routines you have built from them
+          </p>
+        </motion.div>
+
+        {loading ? (
+          <div className="flex justify-center py-24">
+            <div className="w-10 h-10 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <>
+            {/* Favorites */}
+            <h2 className="text-3xl font-bold text-white mb-8">Favorites</h2>
+            {favorites.length === 0 ? (
+              <div className="bg-dark-100 rounded-2xl p-12 text-center border border-primary/20">
+                <div className="text-4xl mb-4">🤍</div>
+                <p className="text-gray-400 mb-6">
+                  Tap the heart on any meditation to keep it here.
+                </p>
+                <Link to="/meditation" className="text-primary hover:underline">
+                  Browse meditations
+                </Link>
+              </div>
+            ) : (
+              <motion.div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8" layout>
+                <AnimatePresence>
+                  {favorites.map(meditation => (
+                    <MeditationCard
+                      key={meditation.id}
+                      meditation={meditation}
+                      isFavorite
+                      onToggleFavorite={toggleFavorite}
+                      onBegin={() => navigate(`/meditation/${meditation.id}`)}
+                    />
+                  ))}
+                </AnimatePresence>
+              </motion.div>
+            )}
+
+            {/* Playlists */}
+            <div className="mt-24">
+              <h2 className="text-3xl font-bold text-white mb-4">Playlists</h2>
+              <p className="text-gray-400 mb-8 max-w-2xl">
+                Line up meditations to play back to back, like a morning routine of breathing
+                followed by loving-kindness.
+              </p>
+
+              <form onSubmit={handleCreate} className="flex flex-wrap gap-4 mb-8">
+                <input
+                  value={newPlaylistName}
+                  onChange={(e) => setNewPlaylistName(e.target.value)}
+                  placeholder="New playlist name"
+                  maxLength={80}
+                  className="flex-1 min-w-[200px] bg-dark-100 text-white rounded-full px-6 py-3 border-none focus:outline-none focus:ring-2 focus:ring-primary placeholder-gray-500"
+                />
+                <motion.button
+                  type="submit"
+                  disabled={creating || !newPlaylistName.trim()}
+                  className="px-8 py-3 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  Create Playlist
+                </motion.button>
+              </form>
+
+              {playlists.length === 0 ? (
+                <p className="text-gray-500">You have not created any playlists yet.</p>
+              ) : (
+                <div className="space-y-6">
+                  <AnimatePresence>
+                    {playlists.map(playlist => (
+                      <PlaylistPanel
+                        key={playlist.id}
+                        playlist={playlist}
+                        meditationsById={meditationsById}
+                        catalogue={meditations}
+                        onPlay={handlePlay}
+                        onRename={handleRename}
+                        onDelete={handleDelete}
+                        onChangeItems={handleChangeItems}
+                      />
+                    ))}
+                  </AnimatePresence>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Library
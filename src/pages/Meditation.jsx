@@ -1,78 +1,152 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { fetchMeditations, LEVEL_LABELS } from '../utils/meditations'
+import {
+  DURATION_RANGES,
+  SORT_OPTIONS,
+  parseFilters,
+  serializeFilters,
+  hasActiveFilters,
+  applyFilters
+} from '../utils/meditationFilters'
+import {
+  BEGINNER_COURSE_SLUG,
+  fetchCourses,
+  fetchCourseProgress,
+  countCompletedLessons
+} from '../utils/courses'
+import { fetchProgressMap } from '../utils/sessionProgress'
+import { flushPendingSessions } from '../utils/sessions'
+import useFavorites from '../hooks/useFavorites'
+import useDownloads from '../hooks/useDownloads'
+import { meditationDownloadId } from '../utils/downloads'
+import MeditationCard from '../components/MeditationCard'
+import TimerSetup from '../components/TimerSetup'
+
+// Distinct non-empty values of a field, alphabetised, as facet options
+const uniqueOptions = (meditations, field) =>
+  [...new Set(meditations.map(m => m[field]).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b))
+    .map(value => ({ id: value, name: value }))
 
 const Meditation = () => {
-  const [selectedCategory, setSelectedCategory] = useState('all')
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [meditations, setMeditations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadError, setLoadError] = useState(null)
+  const [progressMap, setProgressMap] = useState({})
+  const [courses, setCourses] = useState([])
+  const [courseProgress, setCourseProgress] = useState({ enrollments: {}, completedLessonIds: new Set() })
+  const navigate = useNavigate()
+  const { currentUser } = useAuth()
+  const { favoriteIds, toggleFavorite } = useFavorites(currentUser?.id)
+  const offline = useDownloads()
 
-  const categories = [
-    { id: 'all', name: 'All Meditations' },
-    { id: 'beginner', name: 'Beginner' },
-    { id: 'intermediate', name: 'Intermediate' },
-    { id: 'advanced', name: 'Advanced' },
-    { id: 'focus', name: 'Focus Areas' }
-  ]
+  // Courses and how far the user has got in each
+  useEffect(() => {
+    if (!currentUser) return
+    let cancelled = false
 
-  const meditations = [
-    {
-      id: 1,
-      title: "Mindful Breathing",
-      duration: "10 min",
-      category: "beginner",
-      instructor: "with Sarah",
-      image: "https://images.pexels.com/photos/3822622/pexels-photo-3822622.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
-      description: "Learn the fundamentals of mindful breathing for stress relief and relaxation",
-      level: "Beginner",
-      type: "Breathing"
-    },
-    {
-      id: 2,
-      title: "Loving-Kindness Meditation",
-      duration: "20 min",
-      category: "intermediate",
-      instructor: "with Emma",
-      image: "https://images.pexels.com/photos/7319316/pexels-photo-7319316.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
-      description: "Cultivate compassion and positive emotions towards yourself and others",
-      level: "Intermediate",
-      type: "Emotional"
-    },
-    {
-      id: 3,
-      title: "Zen Meditation",
-      duration: "25 min",
-      category: "advanced",
-      instructor: "with David",
-      image: "https://images.pexels.com/photos/3822727/pexels-photo-3822727.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
-      description: "Deep dive into Zen practices for profound stillness and insight",
-      level: "Advanced",
-      type: "Zen"
-    },
+    Promise.all([fetchCourses(), fetchCourseProgress(currentUser.id)])
+      .then(([data, progress]) => {
+        if (cancelled) return
+        setCourses(data)
+        setCourseProgress(progress)
+      })
+      .catch(error => {
+        console.error('Error fetching courses:', error)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [currentUser])
+
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams])
+
+  const facetGroups = useMemo(() => [
     {
-      id: 4,
-      title: "Sleep Meditation",
-      duration: "30 min",
-      category: "focus",
-      instructor: "with Lisa",
-      image: "https://images.pexels.com/photos/3771069/pexels-photo-3771069.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
-      description: "Gentle guided meditation to help you drift into peaceful sleep",
-      level: "All Levels",
-      type: "Sleep"
+      id: 'level',
+      label: 'Level',
+      options: Object.entries(LEVEL_LABELS).map(([id, name]) => ({ id, name }))
     },
-    {
-      id: 5,
-      title: "Anxiety Relief",
-      duration: "15 min",
-      category: "focus",
-      instructor: "with James",
-      image: "https://images.pexels.com/photos/1028741/pexels-photo-1028741.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
-      description: "Calming techniques to manage anxiety and find inner peace",
-      level: "All Levels",
-      type: "Anxiety"
+    { id: 'type', label: 'Type', options: uniqueOptions(meditations, 'type') },
+    { id: 'duration', label: 'Duration', options: DURATION_RANGES },
+    { id: 'instructor', label: 'Instructor', options: uniqueOptions(meditations, 'instructor') }
+  ].filter(group => group.options.length > 0), [meditations])
+
+  // Every change replaces the current history entry so Back leaves the page
+  const updateFilters = (changes) => {
+    setSearchParams(serializeFilters({ ...filters, ...changes }), { replace: true })
+  }
+
+  // The catalogue entry is kept with the file so the player works offline
+  const downloadMeditation = (meditation) => {
+    offline.download({
+      id: meditationDownloadId(meditation.id),
+      url: meditation.audioUrl,
+      title: meditation.title,
+      kind: 'meditation',
+      meta: meditation
+    })
+  }
+
+  const toggleFacet = (facet, value) => {
+    const selected = filters[facet]
+    updateFilters({
+      [facet]: selected.includes(value)
+        ? selected.filter(v => v !== value)
+        : [...selected, value]
+    })
+  }
+
+  const clearFilters = () => {
+    updateFilters({ query: '', level: [], type: [], duration: [], instructor: [] })
+  }
+
+  // Load the catalogue from Supabase
+  const loadMeditations = async () => {
+    try {
+      setLoading(true)
+      setLoadError(null)
+      const data = await fetchMeditations()
+      setMeditations(data)
+    } catch (error) {
+      console.error('Error fetching meditations:', error)
+      setLoadError('We could not load meditations right now.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadMeditations()
+  }, [])
+
+  // Saved positions for "Resume from" on the cards, after syncing any
+  // partial sessions left over from a closed tab
+  useEffect(() => {
+    if (!currentUser) return
+    let cancelled = false
+
+    flushPendingSessions(currentUser.id)
+      .then(() => fetchProgressMap(currentUser.id))
+      .then(map => {
+        if (!cancelled) setProgressMap(map)
+      })
+
+    return () => {
+      cancelled = true
     }
-  ]
+  }, [currentUser])
 
-  const filteredMeditations = selectedCategory === 'all' 
-    ? meditations 
-    : meditations.filter(m => m.category === selectedCategory)
+  const filteredMeditations = useMemo(
+    () => applyFilters(meditations, filters),
+    [meditations, filters]
+  )
+  const filtersActive = hasActiveFilters(filters)
 
   return (
     <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4">
@@ -90,84 +164,238 @@ const Meditation = () => {
           <p className="text-xl text-gray-400 max-w-2xl mx-auto">
             Discover your path to inner peace with guided meditation sessions for every level
           </p>
+          <Link
+            to="/library"
+            className="inline-flex items-center gap-2 mt-8 px-6 py-3 rounded-full bg-dark-100 text-primary border border-primary/20 hover:border-primary/40 transition-all"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12z" />
+            </svg>
+            My Library
+          </Link>
+          <Link
+            to="/downloads"
+            className="inline-flex items-center gap-2 mt-8 ml-4 px-6 py-3 rounded-full bg-dark-100 text-primary border border-primary/20 hover:border-primary/40 transition-all"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
+            </svg>
+            Downloads
+          </Link>
         </motion.div>
 
-        {/* Categories */}
+        {/* Search & Filters */}
         <motion.div 
-          className="flex flex-wrap justify-center gap-4 mb-12"
+          className="bg-dark-100 rounded-3xl p-6 md:p-8 border border-primary/20 mb-12"
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.8, delay: 0.2 }}
         >
-          {categories.map((category) => (
+          <div className="flex flex-col md:flex-row gap-4 mb-6">
+            <div className="relative flex-1">
+              <svg className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z" />
+              </svg>
+              <input
+                type="search"
+                value={filters.query}
+                onChange={(e) => updateFilters({ query: e.target.value })}
+                placeholder="Search by title, description or instructor"
+                className="w-full bg-dark-200 text-white rounded-full pl-12 pr-4 py-3 border-none focus:outline-none focus:ring-2 focus:ring-primary placeholder-gray-500"
+              />
+            </div>
+            <label className="flex items-center gap-3 text-gray-400">
+              Sort by
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
+                className="bg-dark-200 text-white rounded-full px-4 py-3 border-none focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="space-y-4">
+            {facetGroups.map(group => (
+              <div key={group.id} className="flex flex-wrap items-center gap-2">
+                <span className="w-24 text-sm text-gray-500">{group.label}</span>
+                {group.options.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => toggleFacet(group.id, option.id)}
+                    className={`px-4 py-2 rounded-full text-sm transition-all ${
+                      filters[group.id].includes(option.id)
+                        ? 'bg-primary text-dark-300'
+                        : 'bg-dark-200 text-gray-400 hover:bg-primary/10 hover:text-primary'
+                    }`}
+                  >
+                    {option.name}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {!loading && !loadError && (
+            <div className="flex items-center justify-between mt-6 text-sm text-gray-400">
+              <span>
+                {filteredMeditations.length} of {meditations.length} meditations
+              </span>
+              {filtersActive && (
+                <button
+                  onClick={clearFilters}
+                  className="text-primary hover:text-primary/80 transition-colors"
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+          )}
+        </motion.div>
+
+        {/* Meditation Grid */}
+        {loading ? (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {[...Array(3)].map((_, index) => (
+              <div key={index} className="bg-dark-100 rounded-2xl overflow-hidden border border-primary/20 animate-pulse">
+                <div className="aspect-video bg-gray-700/50" />
+                <div className="p-6 space-y-3">
+                  <div className="w-24 h-4 bg-gray-700 rounded" />
+                  <div className="w-48 h-6 bg-gray-700 rounded" />
+                  <div className="w-full h-4 bg-gray-700 rounded" />
+                  <div className="w-full h-12 bg-gray-700 rounded-full mt-6" />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : loadError ? (
+          <div className="bg-dark-100 rounded-2xl p-12 text-center border border-red-500/20">
+            <p className="text-gray-300 mb-6">{loadError}</p>
+            {Object.keys(offline.downloads).length > 0 && (
+              <p className="text-gray-400 mb-6">
+                Offline? Your <Link to="/downloads" className="text-primary hover:underline">downloads</Link> still play.
+              </p>
+            )}
             <motion.button
-              key={category.id}
-              onClick={() => setSelectedCategory(category.id)}
-              className={`px-6 py-3 rounded-full text-lg transition-all ${
-                selectedCategory === category.id
-                  ? 'bg-primary text-dark-300'
-                  : 'bg-dark-100 text-gray-400 hover:bg-primary/10 hover:text-primary'
-              }`}
+              onClick={loadMeditations}
+              className="px-6 py-3 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              {category.name}
+              Try Again
             </motion.button>
-          ))}
-        </motion.div>
+          </div>
+        ) : filteredMeditations.length === 0 ? (
+          <div className="bg-dark-100 rounded-2xl p-12 text-center border border-primary/20">
+            <div className="text-4xl mb-4">🧘</div>
+            <p className="text-gray-400">
+              {meditations.length === 0
+                ? 'New meditations are on their way. Check back soon.'
+                : 'No meditations match your search and filters.'}
+            </p>
+            {filtersActive && (
+              <button
+                onClick={clearFilters}
+                className="mt-6 px-6 py-3 rounded-full bg-dark-200 text-gray-400 hover:text-primary transition-colors"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        ) : (
+          <motion.div 
+            className="grid md:grid-cols-2 lg:grid-cols-3 gap-8"
+            layout
+          >
+            <AnimatePresence>
+              {filteredMeditations.map((meditation) => (
+                <MeditationCard
+                  key={meditation.id}
+                  meditation={meditation}
+                  resumePosition={progressMap[meditation.id]?.position}
+                  isFavorite={favoriteIds.has(meditation.id)}
+                  onToggleFavorite={toggleFavorite}
+                  downloadStatus={offline.getStatus(meditationDownloadId(meditation.id))}
+                  downloadProgress={offline.progress[meditationDownloadId(meditation.id)]}
+                  onDownload={offline.supported ? downloadMeditation : undefined}
+                  onRemoveDownload={() => offline.remove(meditationDownloadId(meditation.id))}
+                  onBegin={() => navigate(`/meditation/${meditation.id}`)}
+                  onResume={() => navigate(`/meditation/${meditation.id}?resume=1`)}
+                  onStartOver={() => navigate(`/meditation/${meditation.id}?restart=1`)}
+                />
+              ))}
+            </AnimatePresence>
+          </motion.div>
+        )}
 
-        {/* Meditation Grid */}
+        {/* Courses */}
+        {courses.length > 0 && (
+          <div className="mt-24">
+            <h2 className="text-3xl font-bold text-white mb-4">Courses</h2>
+            <p className="text-gray-400 mb-8 max-w-2xl">
+              Guided paths of one lesson a day. Each lesson opens when you finish the one before it,
+              or after a day has passed.
+            </p>
+            <div className="grid md:grid-cols-2 gap-8">
+              {courses.map(course => {
+                const completed = countCompletedLessons(course, courseProgress.completedLessonIds)
+                const started = Boolean(courseProgress.enrollments[course.id])
+                return (
+                  <motion.div
+                    key={course.id}
+                    className="bg-dark-100 rounded-2xl p-8 border border-primary/20 hover:border-primary/40 transition-all flex flex-col"
+                    initial={{ opacity: 0, y: 20 }}
+                    whileInView={{ opacity: 1, y: 0 }}
+                    viewport={{ once: true }}
+                  >
+                    <span className="text-primary text-sm mb-2">
+                      {course.levelLabel} • {course.lessons.length} days
+                    </span>
+                    <h3 className="text-2xl font-semibold text-white mb-2">{course.title}</h3>
+                    <p className="text-gray-400 mb-6 flex-1">{course.description}</p>
+                    {started && (
+                      <div className="mb-6">
+                        <div className="flex justify-between text-sm text-gray-400 mb-2">
+                          <span>Progress</span>
+                          <span>{completed} of {course.lessons.length}</span>
+                        </div>
+                        <div className="w-full h-2 bg-dark-300 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-primary rounded-full"
+                            style={{ width: `${course.lessons.length ? (completed / course.lessons.length) * 100 : 0}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+                    <Link
+                      to={`/courses/${course.slug}`}
+                      className="self-start px-6 py-3 rounded-full bg-primary/20 text-white hover:bg-primary/30 transition-colors"
+                    >
+                      {started ? 'Continue Course' : 'View Course'}
+                    </Link>
+                  </motion.div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Silent Timer */}
         <motion.div 
-          className="grid md:grid-cols-2 lg:grid-cols-3 gap-8"
-          layout
+          className="mt-24 bg-dark-100 rounded-3xl p-12 border border-primary/20"
+          initial={{ opacity: 0 }}
+          whileInView={{ opacity: 1 }}
+          viewport={{ once: true }}
         >
-          <AnimatePresence>
-            {filteredMeditations.map((meditation) => (
-              <motion.div
-                key={meditation.id}
-                layout
-                initial={{ opacity: 0, scale: 0.9 }}
-                animate={{ opacity: 1, scale: 1 }}
-                exit={{ opacity: 0, scale: 0.9 }}
-                transition={{ duration: 0.3 }}
-                className="bg-dark-100 rounded-2xl overflow-hidden border border-primary/20 hover:border-primary/40 transition-all"
-              >
-                <div className="relative aspect-video">
-                  <img 
-                    src={meditation.image} 
-                    alt={meditation.title}
-                    className="w-full h-full object-cover"
-                  />
-                  <div className="absolute inset-0 bg-gradient-to-t from-dark-100 to-transparent opacity-60" />
-                  <div className="absolute top-4 right-4 bg-dark-300/80 backdrop-blur-sm px-4 py-1 rounded-full text-primary text-sm">
-                    {meditation.duration}
-                  </div>
-                  <div className="absolute top-4 left-4 bg-dark-300/80 backdrop-blur-sm px-4 py-1 rounded-full text-primary text-sm">
-                    {meditation.level}
-                  </div>
-                </div>
-                <div className="p-6">
-                  <div className="flex items-center gap-2 text-gray-400 text-sm mb-2">
-                    <span>{meditation.instructor}</span>
-                    <span>•</span>
-                    <span>{meditation.type}</span>
-                  </div>
-                  <h3 className="text-2xl font-semibold text-white mb-2">{meditation.title}</h3>
-                  <p className="text-gray-400 mb-4">{meditation.description}</p>
-                  <motion.button
-                    className="w-full flex items-center justify-center space-x-2 text-white bg-primary/20 hover:bg-primary/30 px-4 py-3 rounded-full transition-colors"
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                  >
-                    <span>Begin Meditation</span>
-                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-                    </svg>
-                  </motion.button>
-                </div>
-              </motion.div>
-            ))}
-          </AnimatePresence>
+          <h2 className="text-3xl font-bold text-white mb-4">Silent Timer</h2>
+          <p className="text-gray-400 mb-8 max-w-2xl">
+            Prefer to sit without guidance? Set your own duration, settle in with a warm-up
+            countdown and let gentle bells mark the intervals.
+          </p>
+          <TimerSetup />
         </motion.div>
 
         {/* Featured Section */}
@@ -189,11 +417,12 @@ const Meditation = () => {
               will help you find your path to inner peace and mindfulness.
             </p>
             <motion.button
+              onClick={() => navigate(`/courses/${BEGINNER_COURSE_SLUG}`)}
               className="bg-primary text-dark-300 px-8 py-3 rounded-full text-lg font-medium hover:bg-primary/90 transition-all"
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              Start Free Trial
+              Start the 21-Day Beginner Path
             </motion.button>
           </div>
         </motion.div>
@@ -0,0 +1,605 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { useAuth } from '../contexts/AuthContext'
+import { fetchMeditation } from '../utils/meditations'
+import { fetchPlaylist, playlistTrackPath } from '../utils/library'
+import { completeLesson } from '../utils/courses'
+import {
+  getDownload,
+  getOfflineUrl,
+  releaseOfflineUrl,
+  meditationDownloadId
+} from '../utils/downloads'
+import { formatClock } from '../utils/time'
+import { DEFAULT_ARTWORK } from '../utils/mediaSession'
+import { AMBIENT_BEDS, getAmbientBed } from '../audio/ambience'
+import useGuidedAudio from '../hooks/useGuidedAudio'
+import useMeditationProgress from '../hooks/useMeditationProgress'
+import useSleepTimer from '../hooks/useSleepTimer'
+import useMediaSession from '../hooks/useMediaSession'
+import { getBreathingPattern } from '../utils/breathing'
+import ProgressRing from '../components/ProgressRing'
+import BreathingPacer from '../components/BreathingPacer'
+import AudioVisualizer from '../components/AudioVisualizer'
+import SleepTimerControl from '../components/SleepTimerControl'
+
+const UP_NEXT_SECONDS = 10
+const SEEK_STEP_SECONDS = 15
+
+const MeditationPlayer = () => {
+  const { id } = useParams()
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { currentUser } = useAuth()
+  const [meditation, setMeditation] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [bedId, setBedId] = useState('none')
+
+  const [status, setStatus] = useState('ready') // ready | playing | paused | finished
+  const [timerElapsed, setTimerElapsed] = useState(0)
+  const [seekVersion, setSeekVersion] = useState(0)
+  const timerElapsedRef = useRef(0)
+
+  // Playing from a playlist: ?playlist=<id>&track=<index>
+  const playlistId = searchParams.get('playlist')
+  const track = parseInt(searchParams.get('track'), 10) || 0
+  const [playlist, setPlaylist] = useState(null)
+  const [nextMeditation, setNextMeditation] = useState(null)
+  const [advanceIn, setAdvanceIn] = useState(null)
+  const autoplayedRef = useRef(false)
+
+  // Playing a course lesson: ?course=<slug>&lesson=<lessonId>
+  const courseSlug = searchParams.get('course')
+  const lessonId = parseInt(searchParams.get('lesson'), 10) || null
+  const exitPath = courseSlug ? `/courses/${courseSlug}` : '/meditation'
+
+  const handleEnded = useCallback(() => setStatus('finished'), [])
+
+  const guided = useGuidedAudio({
+    narrationUrl: meditation?.audioUrl,
+    bedUrl: getAmbientBed(bedId).src,
+    onEnded: handleEnded
+  })
+
+  // With narration the audio element is the clock; otherwise a silent timer
+  // runs for the catalogue duration
+  const { pause: pauseAudio, seek: seekAudio, setMasterVolume } = guided
+  const narrationMode = guided.hasNarration
+  const totalSeconds = narrationMode && guided.duration
+    ? guided.duration
+    : (meditation?.durationMinutes || 0) * 60
+  const elapsed = status === 'finished'
+    ? totalSeconds
+    : narrationMode ? guided.currentTime : timerElapsed
+
+  useEffect(() => {
+    let cancelled = false
+
+    let audioUrl = null
+
+    const loadMeditation = async () => {
+      try {
+        setLoading(true)
+        let data
+        try {
+          data = await fetchMeditation(id)
+        } catch (error) {
+          // No connection: fall back to the entry saved with a download
+          data = getDownload(meditationDownloadId(id))?.meta
+          if (!data) throw error
+        }
+        // Play the downloaded copy when there is one
+        const resolvedUrl = data ? await getOfflineUrl(data.audioUrl) : null
+        if (cancelled) {
+          releaseOfflineUrl(resolvedUrl)
+          return
+        }
+        audioUrl = resolvedUrl
+        setMeditation(data && { ...data, audioUrl })
+        setBedId(data?.ambientBed || 'none')
+      } catch (error) {
+        console.error('Error fetching meditation:', error)
+        if (!cancelled) toast.error('Failed to load meditation')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadMeditation()
+    return () => {
+      cancelled = true
+      releaseOfflineUrl(audioUrl)
+    }
+  }, [id])
+
+  // Look up the playlist and what follows this track
+  useEffect(() => {
+    if (!playlistId) return
+    let cancelled = false
+
+    const loadPlaylist = async () => {
+      try {
+        const data = await fetchPlaylist(playlistId)
+        if (cancelled || !data) return
+        setPlaylist(data)
+        const nextId = data.meditationIds[track + 1]
+        if (nextId) {
+          const next = await fetchMeditation(nextId)
+          if (!cancelled) setNextMeditation(next)
+        }
+      } catch (error) {
+        console.error('Error fetching playlist:', error)
+      }
+    }
+
+    loadPlaylist()
+    return () => {
+      cancelled = true
+    }
+  }, [playlistId, track])
+
+  // Tick the silent timer while playing. Elapsed time is derived from
+  // timestamps so throttled background tabs don't drift.
+  useEffect(() => {
+    if (status !== 'playing' || narrationMode) return
+
+    const base = timerElapsedRef.current
+    const startedAt = Date.now()
+    const interval = setInterval(() => {
+      const next = Math.min(base + (Date.now() - startedAt) / 1000, totalSeconds)
+      timerElapsedRef.current = next
+      setTimerElapsed(next)
+      if (next >= totalSeconds) {
+        setStatus('finished')
+      }
+    }, 250)
+
+    return () => clearInterval(interval)
+  }, [status, narrationMode, totalSeconds, seekVersion])
+
+  // Stop the ambient bed once the session is over
+  useEffect(() => {
+    if (status === 'finished') pauseAudio()
+  }, [status, pauseAudio])
+
+  const elapsedRef = useRef(elapsed)
+  elapsedRef.current = elapsed
+  const getPosition = useCallback(() => elapsedRef.current, [])
+
+  // The sleep timer fades the whole mix and then pauses, which saves the
+  // attempt with the time actually listened. "End of track" lets the
+  // meditation finish by itself but stops a playlist from moving on.
+  const sleptRef = useRef(false)
+  const sleepTimer = useSleepTimer({
+    playing: status === 'playing',
+    getTrackRemaining: () => totalSeconds - elapsedRef.current,
+    onFade: level => setMasterVolume(level),
+    onExpire: (setting) => {
+      sleptRef.current = true
+      if (setting === 'end') return
+      pauseAudio()
+      setStatus('paused')
+    }
+  })
+
+  const { savedProgress, saveState, listenedMinutes, resume, startOver } = useMeditationProgress({
+    userId: currentUser?.id,
+    meditation,
+    status,
+    getPosition
+  })
+
+  const seekTo = useCallback((position) => {
+    seekAudio(position)
+    timerElapsedRef.current = position
+    setTimerElapsed(position)
+    setSeekVersion(version => version + 1)
+  }, [seekAudio])
+
+  const resumeSaved = useCallback(() => {
+    if (!savedProgress) return 0
+    const position = Math.min(savedProgress.position, Math.max(totalSeconds - 1, 0))
+    seekTo(position)
+    resume(savedProgress)
+    return position
+  }, [savedProgress, totalSeconds, seekTo, resume])
+
+  // Coming from a card's "Resume from" or restart button, act on the saved
+  // spot straight away instead of asking again
+  useEffect(() => {
+    if (!savedProgress || guided.status !== 'ready' || status !== 'ready') return
+    if (searchParams.get('resume')) {
+      resumeSaved()
+    } else if (searchParams.get('restart')) {
+      startOver()
+    }
+  }, [searchParams, savedProgress, guided.status, status, resumeSaved, startOver])
+
+  // Finishing a lesson unlocks the next one in the course
+  useEffect(() => {
+    if (status !== 'finished' || !lessonId || !currentUser) return
+    completeLesson(currentUser.id, lessonId).catch(error => {
+      console.error('Error completing lesson:', error)
+      toast.error('Failed to save your course progress')
+    })
+  }, [status, lessonId, currentUser])
+
+  // Count down to the next playlist track once this one finishes
+  useEffect(() => {
+    if (status !== 'finished' || !nextMeditation) return
+    if (sleptRef.current || sleepTimer.setting === 'end') return
+    setAdvanceIn(UP_NEXT_SECONDS)
+  }, [status, nextMeditation, sleepTimer.setting])
+
+  useEffect(() => {
+    if (advanceIn === null) return
+    if (advanceIn <= 0) {
+      navigate(`${playlistTrackPath(playlist, track + 1)}&autoplay=1`, { replace: true })
+      return
+    }
+    const timeout = setTimeout(() => setAdvanceIn(seconds => seconds - 1), 1000)
+    return () => clearTimeout(timeout)
+  }, [advanceIn, playlist, track, navigate])
+
+  // Audio has to start from the click itself for mobile autoplay rules
+  const startPlayback = (position) => {
+    guided.play(position).catch(error => {
+      console.error('Error starting playback:', error)
+      toast.error('Audio could not start')
+    })
+    setStatus('playing')
+  }
+
+  const togglePlay = () => {
+    if (status === 'playing') {
+      guided.pause()
+      setStatus('paused')
+      return
+    }
+    startPlayback(elapsed)
+  }
+
+  const handleResume = () => {
+    startPlayback(resumeSaved())
+  }
+
+  const handleStartOver = () => {
+    startOver()
+    startPlayback(0)
+  }
+
+  // Tracks reached by advancing a playlist start on their own. The page has
+  // already had a user gesture, so browsers allow the audio to begin.
+  useEffect(() => {
+    if (!searchParams.get('autoplay') || autoplayedRef.current) return
+    if (!meditation || guided.status !== 'ready') return
+    autoplayedRef.current = true
+    handleStartOver()
+  })
+
+  const handleSeek = (e) => {
+    seekTo(parseFloat(e.target.value))
+  }
+
+  const seekBy = (offset) => {
+    seekTo(Math.min(Math.max(elapsed + offset, 0), totalSeconds))
+  }
+
+  const restart = () => {
+    setAdvanceIn(null)
+    sleepTimer.cancel()
+    sleptRef.current = false
+    seekTo(0)
+    startOver()
+    setStatus('ready')
+  }
+
+  // Lock-screen controls and headphone buttons. Narration plays through a
+  // media element already; the silent timer needs a stand-in to show up.
+  useMediaSession({
+    active: Boolean(meditation),
+    title: meditation?.title,
+    artist: meditation?.instructor || 'Nirvaha',
+    album: playlist ? playlist.name : meditation?.type,
+    artwork: meditation?.image || DEFAULT_ARTWORK,
+    playing: status === 'playing',
+    keepAlive: !narrationMode,
+    duration: totalSeconds,
+    position: elapsed,
+    handlers: {
+      play: () => {
+        if (status !== 'playing' && status !== 'finished') startPlayback(elapsed)
+      },
+      pause: () => {
+        if (status === 'playing') togglePlay()
+      },
+      stop: () => {
+        guided.pause()
+        restart()
+      },
+      seekto: (details) => seekTo(details.seekTime),
+      seekbackward: (details) => seekBy(-(details.seekOffset || SEEK_STEP_SECONDS)),
+      seekforward: (details) => seekBy(details.seekOffset || SEEK_STEP_SECONDS)
+    }
+  })
+
+  if (loading) {
+    return (
+      <div className="fixed inset-0 z-[60] bg-dark-300 flex items-center justify-center">
+        <div className="w-10 h-10 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    )
+  }
+
+  if (!meditation) {
+    return (
+      <div className="min-h-screen bg-dark-300 pt-24 pb-12 px-4 flex flex-col items-center justify-center text-center">
+        <h1 className="text-3xl font-bold text-white mb-4">Meditation not found</h1>
+        <Link to="/meditation" className="text-primary hover:underline">
+          Back to meditations
+        </Link>
+      </div>
+    )
+  }
+
+  const remaining = totalSeconds - elapsed
+  const breathingPattern = getBreathingPattern(meditation.breathingPattern)
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-dark-300 overflow-y-auto">
+      <div className="absolute inset-0 overflow-hidden opacity-20 pointer-events-none">
+        <div className="absolute -top-24 -left-24 w-96 h-96 rounded-full bg-primary blur-3xl" />
+        <div className="absolute -bottom-24 -right-24 w-96 h-96 rounded-full bg-primary blur-3xl" />
+      </div>
+
+      <div className="relative z-10 min-h-full flex flex-col px-4 py-8">
+        {/* Header */}
+        <div className="flex items-center justify-between max-w-3xl w-full mx-auto">
+          <button
+            onClick={() => navigate(exitPath)}
+            className="p-3 rounded-full bg-dark-100 text-gray-400 hover:text-primary transition-colors"
+            aria-label="Close player"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+          <span className="text-gray-400 text-sm">
+            {playlist
+              ? `${playlist.name} • ${track + 1} of ${playlist.meditationIds.length}`
+              : <>{meditation.instructor && `with ${meditation.instructor} • `}{meditation.type}</>}
+          </span>
+        </div>
+
+        <AnimatePresence mode="wait">
+          {status !== 'finished' ? (
+            <motion.div
+              key="player"
+              className="flex-1 flex flex-col items-center justify-center text-center"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.5 }}
+            >
+              <h1 className="text-4xl font-bold text-white mb-2">{meditation.title}</h1>
+              <p className="text-gray-400 mb-10 max-w-xl">{meditation.description}</p>
+
+              {breathingPattern ? (
+                <>
+                  <BreathingPacer pattern={breathingPattern} running={status === 'playing'} />
+                  <p className="text-gray-400 mt-2 tabular-nums">
+                    {formatClock(elapsed)} / {formatClock(totalSeconds)}
+                  </p>
+                </>
+              ) : (
+                <ProgressRing progress={totalSeconds ? elapsed / totalSeconds : 0}>
+                  <span className="text-5xl font-light text-white tabular-nums">
+                    {formatClock(elapsed)}
+                  </span>
+                  <span className="text-gray-400 mt-2 tabular-nums">
+                    -{formatClock(remaining)}
+                  </span>
+                </ProgressRing>
+              )}
+
+              {status === 'ready' && savedProgress && guided.status === 'ready' && (
+                <div className="w-full max-w-md mt-8 bg-dark-100/80 rounded-2xl p-4 border border-primary/20 flex flex-wrap items-center justify-between gap-3">
+                  <span className="text-gray-300 text-sm">
+                    You stopped at {formatClock(savedProgress.position)}
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleStartOver}
+                      className="px-4 py-2 rounded-full text-sm bg-dark-300 text-gray-400 hover:text-primary transition-colors"
+                    >
+                      Start over
+                    </button>
+                    <button
+                      onClick={handleResume}
+                      className="px-4 py-2 rounded-full text-sm bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+                    >
+                      Resume from {formatClock(savedProgress.position)}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {narrationMode && guided.analyser && (
+                <div className="w-full max-w-md mt-8">
+                  <AudioVisualizer analyser={guided.analyser} active={status === 'playing'} height={96} />
+                </div>
+              )}
+
+              <div className="w-full max-w-md mt-8">
+                <input
+                  type="range"
+                  min="0"
+                  max={totalSeconds || 0}
+                  step="1"
+                  value={elapsed}
+                  onChange={handleSeek}
+                  disabled={guided.status === 'loading'}
+                  aria-label="Seek"
+                  className="w-full h-2 bg-dark-100 rounded-lg appearance-none cursor-pointer accent-primary"
+                />
+              </div>
+
+              <motion.button
+                onClick={togglePlay}
+                disabled={guided.status === 'loading'}
+                className="mt-8 p-5 rounded-full bg-primary text-dark-300 hover:bg-primary/90 transition-all disabled:opacity-50 disabled:cursor-wait"
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                aria-label={status === 'playing' ? 'Pause' : 'Play'}
+              >
+                {status === 'playing' ? (
+                  <svg className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6" />
+                  </svg>
+                ) : (
+                  <svg className="h-8 w-8" fill="currentColor" viewBox="0 0 24 24">
+                    <path d="M8 5.14v13.72a1 1 0 001.5.86l11-6.86a1 1 0 000-1.72l-11-6.86A1 1 0 008 5.14z" />
+                  </svg>
+                )}
+              </motion.button>
+              <p className="text-gray-500 mt-4 text-sm">
+                {guided.status === 'loading' && 'Preparing audio...'}
+                {guided.status === 'ready' && status === 'ready' && 'Find a comfortable position and press play'}
+                {status === 'paused' && 'Paused'}
+                {status === 'playing' && 'Breathe and be present'}
+              </p>
+
+              {/* Sound Mix */}
+              <div className="w-full max-w-md mt-10 bg-dark-100/80 rounded-2xl p-6 border border-primary/20 text-left space-y-5">
+                {narrationMode && (
+                  <div className="space-y-2">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-gray-400">Voice</span>
+                      <span className="text-gray-400">{Math.round(guided.narrationVolume * 100)}%</span>
+                    </div>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={guided.narrationVolume}
+                      onChange={(e) => guided.setNarrationVolume(parseFloat(e.target.value))}
+                      className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
+                    />
+                  </div>
+                )}
+                <div className="space-y-3">
+                  <span className="text-gray-400 text-sm">Background</span>
+                  <div className="flex flex-wrap gap-2">
+                    {AMBIENT_BEDS.map(bed => (
+                      <button
+                        key={bed.id}
+                        onClick={() => setBedId(bed.id)}
+                        className={`px-4 py-1.5 rounded-full text-sm transition-all ${
+                          bedId === bed.id
+                            ? 'bg-primary text-dark-300'
+                            : 'bg-dark-300 text-gray-400 hover:text-primary'
+                        }`}
+                      >
+                        {bed.name}
+                      </button>
+                    ))}
+                  </div>
+                  {bedId !== 'none' && (
+                    <div className="space-y-2">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-400">Background volume</span>
+                        <span className="text-gray-400">{Math.round(guided.bedVolume * 100)}%</span>
+                      </div>
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        value={guided.bedVolume}
+                        onChange={(e) => guided.setBedVolume(parseFloat(e.target.value))}
+                        className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
+                      />
+                    </div>
+                  )}
+                </div>
+                <SleepTimerControl timer={sleepTimer} />
+              </div>
+            </motion.div>
+          ) : (
+            <motion.div
+              key="finished"
+              className="flex-1 flex flex-col items-center justify-center text-center"
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.6 }}
+            >
+              <div className="text-6xl mb-6">🙏</div>
+              <h1 className="text-4xl font-bold text-white mb-4">Session Complete</h1>
+              {listenedMinutes !== null && (
+                <p className="text-gray-400 mb-2">
+                  You meditated for {listenedMinutes} minute{listenedMinutes === 1 ? '' : 's'} with {meditation.title}.
+                </p>
+              )}
+              <p className="text-sm text-gray-500 mb-10">
+                {saveState === 'saving' && 'Saving to your practice history...'}
+                {saveState === 'saved' && 'Added to your practice history'}
+                {saveState === 'error' && 'We could not save this session'}
+              </p>
+              {nextMeditation && advanceIn !== null && (
+                <div className="w-full max-w-md mb-10 bg-dark-100/80 rounded-2xl p-6 border border-primary/20">
+                  <p className="text-gray-400 text-sm mb-1">Up next in {advanceIn}s</p>
+                  <p className="text-xl text-white mb-4">{nextMeditation.title}</p>
+                  <div className="flex gap-2 justify-center">
+                    <button
+                      onClick={() => setAdvanceIn(null)}
+                      className="px-4 py-2 rounded-full text-sm bg-dark-300 text-gray-400 hover:text-primary transition-colors"
+                    >
+                      Stay here
+                    </button>
+                    <button
+                      onClick={() => setAdvanceIn(0)}
+                      className="px-4 py-2 rounded-full text-sm bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+                    >
+                      Play now
+                    </button>
+                  </div>
+                </div>
+              )}
+              <div className="flex flex-wrap gap-4 justify-center">
+                <motion.button
+                  onClick={restart}
+                  className="px-8 py-3 rounded-full bg-dark-100 text-primary border border-primary/20 hover:border-primary/40 transition-all"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  Meditate Again
+                </motion.button>
+                <motion.button
+                  onClick={() => navigate(exitPath)}
+                  className="px-8 py-3 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  {courseSlug ? 'Back to Course' : 'Back to Meditations'}
+                </motion.button>
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  )
+}
+
+// Remount for every meditation so advancing through a playlist starts a
+// clean player and a new session
+const MeditationPlayerRoute = () => {
+  const { id } = useParams()
+  const [searchParams] = useSearchParams()
+  return <MeditationPlayer key={`${id}:${searchParams.get('track') || ''}`} />
+}
+
+export default MeditationPlayerRoute
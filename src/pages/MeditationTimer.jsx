@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { useAuth } from '../contexts/AuthContext'
+import { getBellSound, playBell } from '../audio/bells'
+import { getAudioContext, resumeAudioContext } from '../audio/context'
+import { logMeditationSession } from '../utils/sessions'
+import { formatClock } from '../utils/time'
+import ProgressRing from '../components/ProgressRing'
+
+// Read a whole number from the query string, falling back when missing,
+// fractional or out of range
+const readNumber = (params, key, fallback, min, max) => {
+  const raw = params.get(key)
+  const value = raw ? Number(raw) : NaN
+  return Number.isInteger(value) && value >= min && value <= max ? value : fallback
+}
+
+const MeditationTimer = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { currentUser } = useAuth()
+
+  const totalMinutes = readNumber(searchParams, 'duration', 10, 1, 180)
+  const warmupSeconds = readNumber(searchParams, 'warmup', 0, 0, 300)
+  const intervalMinutes = readNumber(searchParams, 'interval', 0, 0, 60)
+  const bell = getBellSound(searchParams.get('bell'))
+  const totalSeconds = totalMinutes * 60
+  const timelineSeconds = warmupSeconds + totalSeconds
+
+  const [status, setStatus] = useState('ready') // ready | playing | paused | finished
+  const [elapsed, setElapsed] = useState(0)
+  const [endedEarly, setEndedEarly] = useState(false)
+  const [saveState, setSaveState] = useState('idle') // idle | saving | saved | error
+  const elapsedRef = useRef(0)
+  const loggedRef = useRef(false)
+
+  // Opening bell after the warm-up, then one per interval (the closing bell is separate)
+  const bellTimes = useMemo(() => {
+    const times = [warmupSeconds]
+    if (intervalMinutes > 0) {
+      for (let t = intervalMinutes * 60; t < totalSeconds; t += intervalMinutes * 60) {
+        times.push(warmupSeconds + t)
+      }
+    }
+    return times
+  }, [warmupSeconds, intervalMinutes, totalSeconds])
+
+  const inWarmup = elapsed < warmupSeconds
+  const meditatedSeconds = Math.max(0, elapsed - warmupSeconds)
+
+  useEffect(() => {
+    if (status !== 'playing') return
+
+    const base = elapsedRef.current
+    const startedAt = Date.now()
+    const interval = setInterval(() => {
+      const previous = elapsedRef.current
+      const next = Math.min(base + (Date.now() - startedAt) / 1000, timelineSeconds)
+      elapsedRef.current = next
+      setElapsed(next)
+
+      if (bellTimes.some(time => time > previous && time <= next)) {
+        playBell(bell.id)
+      }
+
+      if (next >= timelineSeconds) {
+        // Three strikes to close the sit
+        const ctx = getAudioContext()
+        const strikes = [0, 2.5, 5]
+        strikes.forEach(offset => playBell(bell.id, { ctx, when: ctx.currentTime + offset }))
+        setStatus('finished')
+      }
+    }, 250)
+
+    return () => clearInterval(interval)
+  }, [status, timelineSeconds, bellTimes, bell.id])
+
+  // Log the sit once it ends, either naturally or from "End Session"
+  useEffect(() => {
+    if (status !== 'finished' || loggedRef.current) return
+    loggedRef.current = true
+
+    const minutes = Math.floor(Math.max(0, elapsedRef.current - warmupSeconds) / 60)
+    if (endedEarly && minutes < 1) return
+
+    const saveSession = async () => {
+      try {
+        setSaveState('saving')
+        await logMeditationSession({
+          userId: currentUser?.id,
+          title: 'Silent Timer',
+          practiceType: 'timer',
+          durationMinutes: endedEarly ? minutes : totalMinutes,
+          completed: !endedEarly
+        })
+        setSaveState('saved')
+      } catch (error) {
+        console.error('Error saving timer session:', error)
+        setSaveState('error')
+        toast.error('Failed to save your session')
+      }
+    }
+
+    saveSession()
+  }, [status, endedEarly, warmupSeconds, totalMinutes, currentUser])
+
+  const togglePlay = async () => {
+    if (status === 'playing') {
+      setStatus('paused')
+      return
+    }
+    // Unlock audio from the click so the bells can sound
+    await resumeAudioContext()
+    if (status === 'ready' && warmupSeconds === 0) {
+      playBell(bell.id)
+    }
+    setStatus('playing')
+  }
+
+  const endSession = () => {
+    setEndedEarly(true)
+    setStatus('finished')
+  }
+
+  const progress = inWarmup
+    ? (warmupSeconds ? elapsed / warmupSeconds : 0)
+    : meditatedSeconds / totalSeconds
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-dark-300 overflow-y-auto">
+      <div className="absolute inset-0 overflow-hidden opacity-20 pointer-events-none">
+        <div className="absolute -top-24 -left-24 w-96 h-96 rounded-full bg-primary blur-3xl" />
+        <div className="absolute -bottom-24 -right-24 w-96 h-96 rounded-full bg-primary blur-3xl" />
+      </div>
+
+      <div className="relative z-10 min-h-full flex flex-col px-4 py-8">
+        {/* Header */}
+        <div className="flex items-center justify-between max-w-3xl w-full mx-auto">
+          <button
+            onClick={() => navigate('/meditation')}
+            className="p-3 rounded-full bg-dark-100 text-gray-400 hover:text-primary transition-colors"
+            aria-label="Close timer"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+          <span className="text-gray-400 text-sm">
+            {bell.name}{intervalMinutes > 0 && ` • every ${intervalMinutes} min`}
+          </span>
+        </div>
+
+        <AnimatePresence mode="wait">
+          {status !== 'finished' ? (
+            <motion.div
+              key="timer"
+              className="flex-1 flex flex-col items-center justify-center text-center"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.5 }}
+            >
+              <h1 className="text-4xl font-bold text-white mb-2">Silent Timer</h1>
+              <p className="text-gray-400 mb-12">{totalMinutes} minutes of stillness</p>
+
+              <ProgressRing progress={progress}>
+                {inWarmup ? (
+                  <>
+                    <span className="text-gray-400 mb-2">Settle in</span>
+                    <span className="text-5xl font-light text-white tabular-nums">
+                      {Math.ceil(warmupSeconds - elapsed)}
+                    </span>
+                  </>
+                ) : (
+                  <>
+                    <span className="text-5xl font-light text-white tabular-nums">
+                      {formatClock(totalSeconds - meditatedSeconds)}
+                    </span>
+                    <span className="text-gray-400 mt-2 tabular-nums">
+                      {formatClock(meditatedSeconds)} elapsed
+                    </span>
+                  </>
+                )}
+              </ProgressRing>
+
+              <div className="flex items-center gap-6 mt-12">
+                <motion.button
+                  onClick={togglePlay}
+                  className="p-5 rounded-full bg-primary text-dark-300 hover:bg-primary/90 transition-all"
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.95 }}
+                  aria-label={status === 'playing' ? 'Pause' : 'Start'}
+                >
+                  {status === 'playing' ? (
+                    <svg className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6" />
+                    </svg>
+                  ) : (
+                    <svg className="h-8 w-8" fill="currentColor" viewBox="0 0 24 24">
+                      <path d="M8 5.14v13.72a1 1 0 001.5.86l11-6.86a1 1 0 000-1.72l-11-6.86A1 1 0 008 5.14z" />
+                    </svg>
+                  )}
+                </motion.button>
+                {status !== 'ready' && (
+                  <button
+                    onClick={endSession}
+                    className="px-6 py-3 rounded-full bg-dark-100 text-gray-400 hover:text-primary transition-colors"
+                  >
+                    End Session
+                  </button>
+                )}
+              </div>
+              <p className="text-gray-500 mt-4 text-sm">
+                {status === 'ready' && 'Press start when you are ready'}
+                {status === 'paused' && 'Paused'}
+              </p>
+            </motion.div>
+          ) : (
+            <motion.div
+              key="finished"
+              className="flex-1 flex flex-col items-center justify-center text-center"
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.6 }}
+            >
+              <div className="text-6xl mb-6">🔔</div>
+              <h1 className="text-4xl font-bold text-white mb-4">
+                {endedEarly ? 'Session Ended' : 'Session Complete'}
+              </h1>
+              <p className="text-gray-400 mb-2">
+                You sat in silence for {formatClock(meditatedSeconds)}.
+              </p>
+              <p className="text-sm text-gray-500 mb-10">
+                {saveState === 'saving' && 'Saving to your practice history...'}
+                {saveState === 'saved' && 'Added to your practice history'}
+                {saveState === 'error' && 'We could not save this session'}
+              </p>
+              <motion.button
+                onClick={() => navigate('/meditation')}
+                className="px-8 py-3 rounded-full bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Back to Meditations
+              </motion.button>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  )
+}
+
+export default MeditationTimer
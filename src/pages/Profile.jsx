@@ -4,6 +4,7 @@ import { useAuth } from '../contexts/AuthContext'
 import { useNavigate } from 'react-router-dom'
 import toast from 'react-hot-toast'
 import { supabase } from '../config/supabase'
+import { PRACTICE_TYPES, getPracticeType } from '../utils/sessions'
 
 const Profile = () => {
   const { currentUser, userProfile, logout } = useAuth()
@@ -18,7 +19,7 @@ const Profile = () => {
       key: 'meditationTime',
       value: '0m',
       label: 'Meditation Time',
-      description: 'Total time you have spent meditating across all sessions'
+      description: 'Total time across guided meditations, the silent timer and sound healing'
     },
     {
       key: 'sessionsCompleted',
@@ -43,6 +44,7 @@ const Profile = () => {
   // User activities state
   const [recentActivities, setRecentActivities] = useState([])
   const [achievements, setAchievements] = useState([])
+  const [practiceBreakdown, setPracticeBreakdown] = useState([])
   const [weeklyProgressData, setWeeklyProgressData] = useState([
     { day: 'Mon', minutes: 0 },
     { day: 'Tue', minutes: 0 },
@@ -109,14 +111,16 @@ const Profile = () => {
         return total + (session.duration_minutes || 0)
       }, 0) || 0
       
-      // Sessions completed
-      const completedSessions = meditationSessions?.filter(session => session.completed)?.length || 0
+      // Sessions completed. Open-ended Sound Healing stretches only add minutes.
+      const completedSessions = meditationSessions?.filter(session =>
+        session.completed && getPracticeType(session.practice_type).hasEnd
+      )?.length || 0
       
       // Calculate streak days
       const streakDays = calculateStreakDays(meditationSessions)
       
-      // Count achievements
-      const achievementsCount = userAchievements?.length || 0
+      // Count unlocked achievements; the rest are still in progress
+      const achievementsCount = userAchievements?.filter(item => item.unlocked_at)?.length || 0
       
       // Update user stats
       setUserStats(prevStats => [
@@ -138,6 +142,9 @@ const Profile = () => {
       const weeklyData = calculateWeeklyProgress(meditationSessions)
       setWeeklyProgressData(weeklyData)
       
+      // 7. Split totals by practice type
+      setPracticeBreakdown(calculatePracticeBreakdown(meditationSessions))
+      
     } catch (error) {
       console.error('Error fetching user data:', error)
       toast.error('Failed to load profile data')
@@ -228,11 +235,11 @@ const Profile = () => {
       const relativeTime = getRelativeTimeString(date)
       
       return {
-        type: 'meditation',
+        type: session.practice_type || 'meditation',
         title: session.title || 'Meditation Session',
         duration: `${session.duration_minutes} minutes`,
         date: relativeTime,
-        icon: '🧘‍♀️'
+        icon: getPracticeType(session.practice_type).icon
       }
     })
   }
@@ -337,6 +344,20 @@ const Profile = () => {
     return weekData
   }
 
+  // Minutes and session counts for each practice type
+  const calculatePracticeBreakdown = (sessions) => {
+    return Object.entries(PRACTICE_TYPES).map(([type, practice]) => {
+      const ofType = (sessions || []).filter(session => (session.practice_type || 'meditation') === type)
+      return {
+        type,
+        ...practice,
+        minutes: ofType.reduce((total, session) => total + (session.duration_minutes || 0), 0),
+        // Matches Sessions Completed; open-ended practice has only stretches
+        sessions: practice.hasEnd ? ofType.filter(session => session.completed).length : ofType.length
+      }
+    })
+  }
+
   const handleLogout = async () => {
     try {
       await logout()
@@ -547,6 +568,24 @@ const Profile = () => {
                     </>
                   )}
                 </div>
+
+                {!loading && (
+                  <div className="bg-dark-200 rounded-2xl p-6">
+                    <h3 className="text-xl font-semibold text-white mb-4">By Practice</h3>
+                    <div className="grid sm:grid-cols-3 gap-4">
+                      {practiceBreakdown.map(practice => (
+                        <div key={practice.type} className="bg-dark-300/50 rounded-xl p-4">
+                          <div className="text-2xl mb-2">{practice.icon}</div>
+                          <p className="text-gray-400 text-sm">{practice.label}</p>
+                          <p className="text-2xl font-bold text-white">{formatMeditationTime(practice.minutes)}</p>
+                          <p className="text-gray-500 text-sm">
+                            {practice.sessions} {practice.sessions === 1 ? 'session' : 'sessions'}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </motion.div>
             )}
 
@@ -1,133 +1,278 @@
-import React, { useState, useRef, useEffect } from 'react'
-import { motion } from 'framer-motion'
+import React, { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { useAuth } from '../contexts/AuthContext'
+import { BRAINWAVE_BANDS } from '../audio/brainwaves'
+import { SOLFEGGIO_TONES, getSolfeggioTone } from '../audio/solfeggio'
+import { SOUNDSCAPE_LOOPS } from '../audio/ambience'
+import { renderArtwork } from '../utils/mediaSession'
+import { MIX_PARAM, encodeMix, decodeMix, describeMix } from '../utils/soundMix'
+import useBrainwaveTone from '../hooks/useBrainwaveTone'
+import useSolfeggioTone from '../hooks/useSolfeggioTone'
+import useSoundscape from '../hooks/useSoundscape'
+import useFadeSettings from '../hooks/useFadeSettings'
+import useSleepTimer from '../hooks/useSleepTimer'
+import useListeningLog from '../hooks/useListeningLog'
+import useMediaSession from '../hooks/useMediaSession'
+import useProgramPlayer from '../hooks/useProgramPlayer'
+import SleepTimerControl from '../components/SleepTimerControl'
+import BrainwaveModePicker from '../components/BrainwaveModePicker'
+import SoundMixer from '../components/SoundMixer'
+import SoundPresets from '../components/SoundPresets'
+import TransitionSettings from '../components/TransitionSettings'
+import MixExport from '../components/MixExport'
+import SolfeggioCard from '../components/SolfeggioCard'
+import AudioVisualizer from '../components/AudioVisualizer'
+import ProgramBuilder from '../components/ProgramBuilder'
+
+const TABS = [
+  { id: 'brainwave', name: 'Brainwaves' },
+  { id: 'solfeggio', name: 'Solfeggio' },
+  { id: 'programs', name: 'Programs' }
+]
 
 const SoundHealing = () => {
-  const [currentTrack, setCurrentTrack] = useState(null)
-  const [isPlaying, setIsPlaying] = useState(false)
-  const [volumes, setVolumes] = useState({
-    alpha: 0.5,
-    beta: 0.5,
-    gamma: 0.5,
-    delta: 0.5
-  })
-  const audioRefs = {
-    alpha: useRef(null),
-    beta: useRef(null),
-    gamma: useRef(null),
-    delta: useRef(null)
-  }
+  const { currentUser } = useAuth()
+  const [fades, setFade] = useFadeSettings()
+  const soundscape = useSoundscape({ fades })
+  const tone = useBrainwaveTone({ destination: soundscape.master, fades })
+  const solfeggio = useSolfeggioTone({ destination: soundscape.master, fades })
+  const program = useProgramPlayer({ destination: soundscape.master, fades })
+  const sounding = tone.playing || solfeggio.playing || program.playing || soundscape.playing
+  const playing = sounding && !soundscape.paused
+  const [tab, setTab] = useState('brainwave')
+  // A mix shared by link waits for the user to press play
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [sharedMix, setSharedMix] = useState(() => decodeMix(searchParams.get(MIX_PARAM)))
 
   const frequencies = [
     {
       id: 1,
+      band: 'alpha',
       name: "ALPHA WAVES",
       frequency: "8 - 12HZ",
-      duration: "1 hour",
       benefits: "Relaxation ,Pain relief ,Stress reduction ,Improving sleep quality",
       description: "When you get in the alpha state of mind, your brain is relaxed and focused on the present moment.",
       color: "from-blue-500/20 to-primary/20"
     },
     {
       id: 2,
+      band: 'beta',
       name: "BETA WAVES ",
       frequency: "12 – 30HZ",
-      duration: "1 hour",
       benefits: "Keeping your attention focused ,Analytical thinking and solving problems ,Stimulating energy and action",
       description: "Beta is a higher frequency brainwave associated with our normal waking state when we are actively engaged in thinking or a task.",
       color: "from-green-500/20 to-primary/20"
     },
     {
       id: 3,
+      band: 'gamma',
       name: "GAMMA WAVES",
       frequency: "38 - 45HZ",
-      duration: "1 hour",
       benefits: "Peak concentration ,Brain synchronization ,Better memory ,Faster cognition",
       description: "The gamma state of mind is thought to involve the synchronization of the brain's hemispheres and the balancing of all the brainwaves simultaneously.",
       color: "from-pink-500/20 to-primary/20"
     },
     {
       id: 4,
+      band: 'delta',
       name: "DELTA WAVES ",
       frequency: "0.5 - 4HZ",
-      duration: "1 hour",
       benefits: "Increasing deep sleep ,Healing and pain relief ,Access to the unconscious mind",
       description: "The delta state of mind is associated with the deep, dreamless state of sleep which is crucial for restoration and the release of human growth hormone (HGM).",
       color: "from-purple-500/20 to-primary/20"
     }
   ]
 
-  // Add useEffect for audio setup
-  useEffect(() => {
-    // Create audio elements for each frequency
-    audioRefs.alpha.current = new Audio('/sounds/ALPHA.mp3')
-    audioRefs.beta.current = new Audio('/sounds/BETA.mp3')
-    audioRefs.gamma.current = new Audio('/sounds/GAMMA.mp3')
-    audioRefs.delta.current = new Audio('/sounds/DELTA.mp3')
+  const stopEverything = (fadeSeconds) => {
+    tone.stop(fadeSeconds)
+    solfeggio.stop(fadeSeconds)
+    program.stop(fadeSeconds)
+    soundscape.stopAll(fadeSeconds)
+  }
 
-    // Enable looping for all tracks
-    Object.values(audioRefs).forEach(ref => {
-      if (ref.current) {
-        ref.current.loop = true
-      }
-    })
-    
-    // Cleanup on unmount
-    return () => {
-      Object.values(audioRefs).forEach(ref => {
-        if (ref.current) {
-          ref.current.pause()
-          ref.current = null
-        }
-      })
-    }
-  }, [])
+  // Sleep timer: fade the whole mix out, then stop every layer. The master
+  // is silent by then, so the layers can stop almost at once.
+  const sleepTimer = useSleepTimer({
+    playing,
+    onFade: soundscape.setLevel,
+    onExpire: () => stopEverything(0.1)
+  })
+
+  // Only one tone plays at a time: brainwave, solfeggio or a program.
+  // Switching from one kind to another crossfades like switching within a kind.
+  const handOver = (...others) => {
+    const playingOthers = others.filter(other => other.playing)
+    if (!playingOthers.length) return {}
+    playingOthers.forEach(other => other.stop(fades.crossfade))
+    return { fadeSeconds: fades.crossfade }
+  }
+
+  const toggleBrainwave = (bandId) => {
+    tone.toggle(bandId, handOver(solfeggio, program))
+  }
+
+  const toggleSolfeggio = (hz) => {
+    solfeggio.toggle(hz, handOver(tone, program))
+  }
+
+  const startProgram = (programToPlay, options = {}) => {
+    program.start(programToPlay, { ...options, ...handOver(tone, solfeggio) })
+  }
 
-  // Handle play/pause for specific frequency
-  const togglePlay = (trackId) => {
-    const frequencyMap = {
-      1: 'alpha',
-      2: 'beta',
-      3: 'gamma',
-      4: 'delta'
+  const playingTrack = frequencies.find(track => track.band === tone.activeBand)
+  const playingSolfeggio = getSolfeggioTone(solfeggio.activeHz)
+  const toneStrip = playingTrack
+    ? {
+      name: playingTrack.name.trim(),
+      volume: tone.volumes[tone.activeBand],
+      muted: tone.muted,
+      setVolume: (value) => tone.setVolume(tone.activeBand, value),
+      setMuted: tone.setMuted
     }
-    const frequency = frequencyMap[trackId]
+    : playingSolfeggio
+      ? {
+        name: playingSolfeggio.name,
+        volume: solfeggio.volumes[solfeggio.activeHz],
+        muted: solfeggio.muted,
+        setVolume: (value) => solfeggio.setVolume(solfeggio.activeHz, value),
+        setMuted: solfeggio.setMuted
+      }
+      : program.playing && {
+        // The program's keyframes drive its volume
+        name: `Program: ${program.program.name}`,
+        volume: program.current.volume,
+        muted: program.muted,
+        setVolume: null,
+        setMuted: program.setMuted
+      }
 
-    // Stop all other tracks first
-    Object.entries(audioRefs).forEach(([freq, ref]) => {
-      if (ref.current && freq !== frequency) {
-        ref.current.pause()
+  // Lock-screen controls. The tones never end, so there is nothing to seek.
+  const activeLoopNames = SOUNDSCAPE_LOOPS
+    .filter(loop => soundscape.loops[loop.id].active)
+    .map(loop => loop.name)
+  const nowPlaying = playingTrack
+    ? {
+      subtitle: playingTrack.frequency,
+      artist: `${tone.beats[tone.activeBand]} Hz ${tone.modes[tone.activeBand]} beat`,
+      colorClass: playingTrack.color
+    }
+    : playingSolfeggio
+      ? {
+        subtitle: `${playingSolfeggio.hz} Hz`,
+        artist: `${playingSolfeggio.hz} Hz solfeggio tone`,
+        colorClass: playingSolfeggio.color
       }
-    })
+      : program.playing
+        ? {
+          subtitle: `${Math.floor(program.position)} of ${program.totalMinutes} min`,
+          artist: `${program.current.beat.toFixed(1)} Hz ${program.program.mode} beat`
+        }
+        : { subtitle: 'Ambient mix', artist: activeLoopNames.join(', ') }
+  const nowPlayingTitle = toneStrip ? toneStrip.name : 'Ambient mix'
 
-    const audioRef = audioRefs[frequency].current
-    if (audioRef) {
-      if (currentTrack === frequency && isPlaying) {
-        audioRef.pause()
-        setIsPlaying(false)
-      } else {
-        audioRef.play()
-        setCurrentTrack(frequency)
-        setIsPlaying(true)
+  useMediaSession({
+    active: sounding,
+    title: nowPlayingTitle,
+    artist: nowPlaying.artist,
+    album: 'Nirvaha Sound Healing',
+    artwork: sounding
+      ? renderArtwork({ title: nowPlayingTitle, subtitle: nowPlaying.subtitle, colorClass: nowPlaying.colorClass })
+      : null,
+    playing,
+    keepAlive: true,
+    handlers: {
+      play: soundscape.resume,
+      pause: soundscape.pause,
+      stop: () => {
+        stopEverything()
+        soundscape.resume()
       }
     }
+  })
+
+  // Record the minutes actually listened to the mix, a new session whenever
+  // the tone, its mode, its timbre or the program changes
+  useListeningLog({
+    userId: currentUser?.id,
+    title: `Sound Healing: ${nowPlayingTitle}`,
+    playing,
+    practiceType: 'sound_healing',
+    details: playingTrack
+      ? { band: tone.activeBand, mode: tone.modes[tone.activeBand] }
+      : playingSolfeggio
+        ? { solfeggio: solfeggio.activeHz, timbre: solfeggio.timbres[solfeggio.activeHz] }
+        : program.playing
+          ? { program: program.program.name, mode: program.program.mode }
+          : {}
+  })
+
+  // Snapshot of the mix as saved in presets
+  const getMixSettings = () => ({
+    band: tone.activeBand,
+    mode: tone.activeBand && tone.modes[tone.activeBand],
+    beat: tone.activeBand && tone.beats[tone.activeBand],
+    solfeggio: solfeggio.activeHz,
+    timbre: solfeggio.activeHz && solfeggio.timbres[solfeggio.activeHz],
+    toneVolume: toneStrip ? toneStrip.volume : null,
+    toneMuted: toneStrip ? toneStrip.muted : false,
+    masterVolume: soundscape.masterVolume,
+    layers: Object.fromEntries(
+      Object.entries(soundscape.loops)
+        .filter(([, loop]) => loop.active)
+        .map(([id, loop]) => [id, { volume: loop.volume, muted: loop.muted }])
+    )
+  })
+
+  const loadMix = (settings) => {
+    const toneSettings = { volume: settings.toneVolume ?? undefined, muted: settings.toneMuted }
+    if (settings.band && BRAINWAVE_BANDS[settings.band]) {
+      tone.play(settings.band, { ...toneSettings, ...handOver(solfeggio, program), mode: settings.mode, beat: settings.beat })
+      setTab('brainwave')
+    } else if (getSolfeggioTone(settings.solfeggio)) {
+      solfeggio.play(settings.solfeggio, { ...toneSettings, ...handOver(tone, program), timbre: settings.timbre })
+      setTab('solfeggio')
+    } else {
+      tone.stop()
+      solfeggio.stop()
+      program.stop()
+    }
+    soundscape.setMasterVolume(settings.masterVolume ?? 0.8)
+    soundscape.restoreLoops(settings.layers)
+  }
+
+  const clearSharedMix = () => {
+    setSharedMix(null)
+    const next = new URLSearchParams(searchParams)
+    next.delete(MIX_PARAM)
+    setSearchParams(next, { replace: true })
+  }
+
+  // Started from the click, so the browser lets the audio begin
+  const playSharedMix = () => {
+    loadMix(sharedMix)
+    if (sharedMix.timer) sleepTimer.start(sharedMix.timer)
+    clearSharedMix()
   }
 
-  // Handle volume change for specific frequency
-  const handleVolumeChange = (trackId, e) => {
-    const frequencyMap = {
-      1: 'alpha',
-      2: 'beta',
-      3: 'gamma',
-      4: 'delta'
+  const copyMixLink = async () => {
+    // Links carry tones and loops only; the program would be silently dropped
+    if (program.playing) {
+      toast.error('Programs cannot be shared by link yet. Stop the program to share the rest of the mix.')
+      return
     }
-    const frequency = frequencyMap[trackId]
-    const newVolume = parseFloat(e.target.value)
-    setVolumes(prev => ({
-      ...prev,
-      [frequency]: newVolume
-    }))
-    if (audioRefs[frequency].current) {
-      audioRefs[frequency].current.volume = newVolume
+    const settings = {
+      ...getMixSettings(),
+      timer: typeof sleepTimer.setting === 'number' ? sleepTimer.setting : null
+    }
+    const url = `${window.location.origin}/sound-healing?${MIX_PARAM}=${encodeMix(settings)}`
+    try {
+      await navigator.clipboard.writeText(url)
+      toast.success('Link copied')
+    } catch (error) {
+      console.error('Error copying mix link:', error)
+      toast.error('Could not copy the link')
     }
   }
 
@@ -166,74 +311,214 @@ const SoundHealing = () => {
           </p>
         </motion.div>
 
-        {/* Frequency Grid */}
-        <div className="grid md:grid-cols-2 gap-8 mb-16">
-          {frequencies.map((track, index) => (
+        {/* Shared Mix Prompt */}
+        <AnimatePresence>
+          {sharedMix && (
             <motion.div
-              key={track.id}
-              initial={{ opacity: 0, y: 20 }}
+              className="max-w-3xl mx-auto mb-12 bg-dark-100/80 backdrop-blur-lg rounded-3xl p-6 border border-primary/40 flex flex-wrap items-center justify-between gap-4"
+              initial={{ opacity: 0, y: -10 }}
               animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: index * 0.1 }}
-              className={`bg-gradient-to-r ${track.color} backdrop-blur-lg rounded-3xl p-8 border border-primary/20`}
+              exit={{ opacity: 0, y: -10 }}
             >
-              <div className="flex items-center justify-between mb-6">
-                <h3 className="text-2xl font-semibold text-white">{track.name}</h3>
-                <span className="text-primary font-medium">{track.frequency}</span>
+              <div>
+                <p className="text-white font-medium">A mix was shared with you</p>
+                <p className="text-gray-400 text-sm">{describeMix(sharedMix)}</p>
               </div>
-              <p className="text-gray-400 mb-6">{track.description}</p>
-              <div className="space-y-4">
-                <div className="flex items-center justify-between">
-                  <span className="text-gray-400">{track.duration}</span>
-                  <motion.button
-                    onClick={() => togglePlay(track.id)}
-                    className={`p-3 rounded-full ${
-                      currentTrack === (track.id === 1 ? 'alpha' : track.id === 2 ? 'beta' : track.id === 3 ? 'gamma' : 'delta') && isPlaying
-                        ? 'bg-red-500 hover:bg-red-600'
-                        : 'bg-primary hover:bg-primary/90'
-                    } text-dark-300 transition-all`}
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.95 }}
-                  >
-                    {currentTrack === (track.id === 1 ? 'alpha' : track.id === 2 ? 'beta' : track.id === 3 ? 'gamma' : 'delta') && isPlaying ? (
-                      <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                    ) : (
-                      <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                    )}
-                  </motion.button>
-                </div>
-                {currentTrack === (track.id === 1 ? 'alpha' : track.id === 2 ? 'beta' : track.id === 3 ? 'gamma' : 'delta') && isPlaying && (
-                  <motion.div 
-                    className="space-y-2"
-                    initial={{ opacity: 0, height: 0 }}
-                    animate={{ opacity: 1, height: "auto" }}
-                    exit={{ opacity: 0, height: 0 }}
-                    transition={{ duration: 0.3 }}
-                  >
-                    <div className="flex items-center justify-between">
-                      <span className="text-gray-400">Volume</span>
-                      <span className="text-gray-400">{Math.round(volumes[track.id === 1 ? 'alpha' : track.id === 2 ? 'beta' : track.id === 3 ? 'gamma' : 'delta'] * 100)}%</span>
-                    </div>
-                    <input
-                      type="range"
-                      min="0"
-                      max="1"
-                      step="0.01"
-                      value={volumes[track.id === 1 ? 'alpha' : track.id === 2 ? 'beta' : track.id === 3 ? 'gamma' : 'delta']}
-                      onChange={(e) => handleVolumeChange(track.id, e)}
-                      className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
-                    />
-                  </motion.div>
-                )}
+              <div className="flex gap-2">
+                <button
+                  onClick={clearSharedMix}
+                  className="px-4 py-2 rounded-full text-sm bg-dark-300 text-gray-400 hover:text-primary transition-colors"
+                >
+                  Not now
+                </button>
+                <motion.button
+                  onClick={playSharedMix}
+                  className="px-4 py-2 rounded-full text-sm bg-primary text-dark-300 font-medium hover:bg-primary/90 transition-all"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  Play mix
+                </motion.button>
               </div>
             </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Mixer, Presets and Sleep Timer */}
+        <div className="grid lg:grid-cols-5 gap-8 mb-12">
+          <div className="lg:col-span-3 bg-dark-100/50 backdrop-blur-lg rounded-3xl p-6 border border-primary/20">
+            <SoundMixer toneStrip={toneStrip} soundscape={soundscape} />
+          </div>
+          <div className="lg:col-span-2 space-y-8 bg-dark-100/50 backdrop-blur-lg rounded-3xl p-6 border border-primary/20">
+            <SleepTimerControl timer={sleepTimer} allowEndOfTrack={false} />
+            <TransitionSettings fades={fades} onChange={setFade} />
+            <button
+              onClick={copyMixLink}
+              disabled={!sounding}
+              className="w-full px-4 py-2 rounded-full text-sm bg-dark-300/60 text-gray-300 hover:text-primary transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              🔗 Copy link to this mix
+            </button>
+            <MixExport
+              title={nowPlayingTitle}
+              getSettings={getMixSettings}
+              program={program.program}
+              fades={fades}
+              disabled={!sounding}
+            />
+            <SoundPresets
+              userId={currentUser?.id}
+              getSettings={getMixSettings}
+              onLoad={loadMix}
+            />
+          </div>
+        </div>
+
+        {/* Tone Library Tabs */}
+        <div className="flex justify-center gap-2 mb-8" role="tablist" aria-label="Tone library">
+          {TABS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setTab(option.id)}
+              role="tab"
+              aria-selected={tab === option.id}
+              className={`px-6 py-2 rounded-full font-medium transition-all ${
+                tab === option.id
+                  ? 'bg-primary text-dark-300'
+                  : 'bg-dark-100/50 text-gray-400 hover:text-primary'
+              }`}
+            >
+              {option.name}
+            </button>
           ))}
         </div>
 
+        {/* Frequency Grid */}
+        {tab === 'brainwave' ? (
+          <div className="grid md:grid-cols-2 gap-8 mb-16">
+            {frequencies.map((track, index) => {
+              const band = BRAINWAVE_BANDS[track.band]
+              const isActive = tone.activeBand === track.band
+              return (
+                <motion.div
+                  key={track.id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                  className={`bg-gradient-to-r ${track.color} backdrop-blur-lg rounded-3xl p-8 border border-primary/20`}
+                >
+                  <div className="flex items-center justify-between mb-6">
+                    <h3 className="text-2xl font-semibold text-white">{track.name}</h3>
+                    <span className="text-primary font-medium">{track.frequency}</span>
+                  </div>
+                  <p className="text-gray-400 mb-6">{track.description}</p>
+                  <div className="mb-6">
+                    <BrainwaveModePicker
+                      mode={tone.modes[track.band]}
+                      onChange={(mode) => tone.setMode(track.band, mode)}
+                    />
+                  </div>
+                  <div className="space-y-4">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-400">
+                        {tone.beats[track.band]} Hz {tone.modes[track.band] === 'isochronic' ? 'pulse' : 'beat'} on a {band.carrier} Hz tone
+                      </span>
+                      <motion.button
+                        onClick={() => toggleBrainwave(track.band)}
+                        className={`p-3 rounded-full ${
+                          isActive
+                            ? 'bg-red-500 hover:bg-red-600'
+                            : 'bg-primary hover:bg-primary/90'
+                        } text-dark-300 transition-all`}
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.95 }}
+                        aria-label={isActive ? 'Stop' : 'Play'}
+                      >
+                        {isActive ? (
+                          <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                          </svg>
+                        ) : (
+                          <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                          </svg>
+                        )}
+                      </motion.button>
+                    </div>
+                    <div className="space-y-2">
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-400">Beat frequency</span>
+                        <span className="text-gray-400 tabular-nums">{tone.beats[track.band]} Hz</span>
+                      </div>
+                      <input
+                        type="range"
+                        min={band.min}
+                        max={band.max}
+                        step={band.step}
+                        value={tone.beats[track.band]}
+                        onChange={(e) => tone.setBeat(track.band, parseFloat(e.target.value))}
+                        aria-label={`${track.name.trim()} beat frequency`}
+                        className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
+                      />
+                    </div>
+                    {isActive && (
+                      <motion.div 
+                        className="space-y-4"
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: "auto" }}
+                        exit={{ opacity: 0, height: 0 }}
+                        transition={{ duration: 0.3 }}
+                      >
+                        <AudioVisualizer analyser={soundscape.analyser} active={isActive} />
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-400">Volume</span>
+                          <span className="text-gray-400">{Math.round(tone.volumes[track.band] * 100)}%</span>
+                        </div>
+                        <input
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.01"
+                          value={tone.volumes[track.band]}
+                          onChange={(e) => tone.setVolume(track.band, parseFloat(e.target.value))}
+                          className="w-full h-2 bg-dark-300 rounded-lg appearance-none cursor-pointer accent-primary"
+                        />
+                      </motion.div>
+                    )}
+                </div>
+              </motion.div>
+            )
+          })}
+          </div>
+        ) : tab === 'solfeggio' ? (
+          <div className="grid md:grid-cols-2 gap-8 mb-16">
+            {SOLFEGGIO_TONES.map((track, index) => (
+              <SolfeggioCard
+                key={track.hz}
+                track={track}
+                index={index}
+                isActive={solfeggio.activeHz === track.hz}
+                timbre={solfeggio.timbres[track.hz]}
+                volume={solfeggio.volumes[track.hz]}
+                analyser={soundscape.analyser}
+                onToggle={() => toggleSolfeggio(track.hz)}
+                onTimbreChange={(timbre) => solfeggio.setTimbre(track.hz, timbre)}
+                onVolumeChange={(value) => solfeggio.setVolume(track.hz, value)}
+              />
+            ))}
+          </div>
+        ) : (
+          <ProgramBuilder
+            userId={currentUser?.id}
+            player={program}
+            onStart={startProgram}
+            onStop={() => program.stop()}
+            getMixSettings={getMixSettings}
+            fades={fades}
+          />
+        )}
+
         {/* Benefits Section */}
         <motion.div 
           className="bg-dark-100/50 backdrop-blur-lg rounded-3xl p-12 relative overflow-hidden"
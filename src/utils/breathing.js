@@ -0,0 +1,53 @@
+// How the pacer circle should look at the start and end of each phase kind
+export const PHASE_KINDS = {
+  inhale: { label: 'Breathe in', from: 0.55, to: 1 },
+  hold: { label: 'Hold', from: 1, to: 1 },
+  exhale: { label: 'Breathe out', from: 1, to: 0.55 },
+  rest: { label: 'Hold', from: 0.55, to: 0.55 }
+}
+
+// Build a pattern from phase lengths in seconds, dropping empty holds
+export const buildPattern = ({ id = 'custom', name = 'Custom', description = '', inhale, holdIn = 0, exhale, holdOut = 0 }) => ({
+  id,
+  name,
+  description,
+  phases: [
+    { kind: 'inhale', seconds: inhale },
+    { kind: 'hold', seconds: holdIn },
+    { kind: 'exhale', seconds: exhale },
+    { kind: 'rest', seconds: holdOut }
+  ].filter(phase => phase.seconds > 0)
+})
+
+export const BREATHING_PATTERNS = [
+  buildPattern({
+    id: 'box',
+    name: 'Box 4-4-4-4',
+    description: 'Equal counts in, hold, out and hold. Steadies the mind under pressure.',
+    inhale: 4,
+    holdIn: 4,
+    exhale: 4,
+    holdOut: 4
+  }),
+  buildPattern({
+    id: '478',
+    name: '4-7-8',
+    description: 'A long hold and slow exhale that help the body wind down for sleep.',
+    inhale: 4,
+    holdIn: 7,
+    exhale: 8
+  }),
+  buildPattern({
+    id: 'coherent',
+    name: 'Coherent 5.5 bpm',
+    description: 'Smooth, even breaths at 5.5 per minute to balance heart rate variability.',
+    inhale: 60 / 5.5 / 2,
+    exhale: 60 / 5.5 / 2
+  })
+]
+
+export const getBreathingPattern = (id) =>
+  BREATHING_PATTERNS.find(pattern => pattern.id === id) || null
+
+export const getCycleSeconds = (pattern) =>
+  pattern.phases.reduce((total, phase) => total + phase.seconds, 0)
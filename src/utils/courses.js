@@ -0,0 +1,134 @@
+import { supabase } from '../config/supabase'
+import { LEVEL_LABELS, resolveMediaUrl } from './meditations'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const COURSE_COLUMNS = `
+  id,
+  slug,
+  title,
+  description,
+  level,
+  cover_image_path,
+  lessons:course_lessons(
+    id,
+    day,
+    title,
+    description,
+    meditation:meditations(id, title, duration_minutes)
+  )
+`
+
+const toCourse = (row) => {
+  const lessons = [...(row.lessons || [])]
+    .sort((a, b) => a.day - b.day)
+    .map(lesson => ({
+      id: lesson.id,
+      day: lesson.day,
+      title: lesson.title,
+      description: lesson.description || '',
+      meditationId: lesson.meditation?.id,
+      meditationTitle: lesson.meditation?.title || '',
+      durationMinutes: lesson.meditation?.duration_minutes || 0
+    }))
+
+  return {
+    id: row.id,
+    slug: row.slug,
+    title: row.title,
+    description: row.description || '',
+    level: row.level,
+    levelLabel: LEVEL_LABELS[row.level] || row.level,
+    image: resolveMediaUrl(row.cover_image_path),
+    lessons
+  }
+}
+
+export const BEGINNER_COURSE_SLUG = '21-day-beginner-path'
+
+export const fetchCourses = async () => {
+  const { data, error } = await supabase
+    .from('courses')
+    .select(COURSE_COLUMNS)
+    .order('sort_order', { ascending: true })
+
+  if (error) throw error
+  return (data || []).map(toCourse)
+}
+
+export const fetchCourse = async (slug) => {
+  const { data, error } = await supabase
+    .from('courses')
+    .select(COURSE_COLUMNS)
+    .eq('slug', slug)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? toCourse(data) : null
+}
+
+// Everything needed to work out which lessons are open, across all courses:
+// { enrollments: { [courseId]: startedAt }, completedLessonIds: Set }
+export const fetchCourseProgress = async (userId) => {
+  const [enrollments, completions] = await Promise.all([
+    supabase.from('course_enrollments').select('course_id, started_at').eq('user_id', userId),
+    supabase.from('course_lesson_completions').select('lesson_id').eq('user_id', userId)
+  ])
+
+  if (enrollments.error) throw enrollments.error
+  if (completions.error) throw completions.error
+
+  return {
+    enrollments: Object.fromEntries((enrollments.data || []).map(row => [row.course_id, row.started_at])),
+    completedLessonIds: new Set((completions.data || []).map(row => row.lesson_id))
+  }
+}
+
+export const enrollInCourse = async (userId, courseId) => {
+  const { error } = await supabase
+    .from('course_enrollments')
+    .upsert(
+      { user_id: userId, course_id: courseId },
+      { onConflict: 'user_id,course_id', ignoreDuplicates: true }
+    )
+
+  if (error) throw error
+}
+
+export const completeLesson = async (userId, lessonId) => {
+  const { error } = await supabase
+    .from('course_lesson_completions')
+    .upsert(
+      { user_id: userId, lesson_id: lessonId },
+      { onConflict: 'user_id,lesson_id', ignoreDuplicates: true }
+    )
+
+  if (error) throw error
+}
+
+// A lesson opens once the one before it is completed, or once a day per
+// lesson has passed since the course was started, whichever comes first.
+// Returns the lessons with status 'completed' | 'available' | 'locked' and,
+// for locked ones, the time they open on their own.
+export const getLessonStates = (course, startedAt, completedLessonIds, now = Date.now()) => {
+  const start = startedAt ? new Date(startedAt).getTime() : null
+
+  return course.lessons.map((lesson, index) => {
+    if (completedLessonIds.has(lesson.id)) {
+      return { ...lesson, status: 'completed', unlocksAt: null }
+    }
+
+    const unlocksAt = start === null ? null : start + index * DAY_MS
+    const previousDone = index === 0 || completedLessonIds.has(course.lessons[index - 1].id)
+    const open = start !== null && (previousDone || now >= unlocksAt)
+
+    return { ...lesson, status: open ? 'available' : 'locked', unlocksAt }
+  })
+}
+
+export const countCompletedLessons = (course, completedLessonIds) =>
+  course.lessons.filter(lesson => completedLessonIds.has(lesson.id)).length
+
+// Player URL for a lesson, so finishing it marks the lesson complete
+export const lessonPath = (course, lesson) =>
+  `/meditation/${lesson.meditationId}?course=${course.slug}&lesson=${lesson.id}`
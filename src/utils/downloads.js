@@ -0,0 +1,133 @@
+// Offline copies of audio. The files live in Cache Storage keyed by their
+// original URL; a small index in localStorage keeps what the Downloads page
+// and the offline player need (title, size, and for meditations the catalogue
+// entry itself).
+
+const CACHE_NAME = 'nirvaha-audio-v1'
+const INDEX_KEY = 'nirvaha.downloads'
+export const DOWNLOADS_CHANGED_EVENT = 'nirvaha:downloads-changed'
+
+export const isOfflineSupported = () => typeof window !== 'undefined' && 'caches' in window
+
+export const meditationDownloadId = (meditationId) => `meditation:${meditationId}`
+
+const readIndex = () => {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+const writeIndex = (index) => {
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index))
+  window.dispatchEvent(new Event(DOWNLOADS_CHANGED_EVENT))
+}
+
+export const getDownloads = () => readIndex()
+
+export const getDownload = (id) => readIndex()[id] || null
+
+// Read the body in chunks so the caller can show progress
+const readWithProgress = async (response, onProgress) => {
+  const total = Number(response.headers.get('content-length')) || 0
+  if (!response.body) return response.blob()
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let received = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    received += value.length
+    onProgress(total ? received / total : null)
+  }
+  return new Blob(chunks, { type: response.headers.get('content-type') || 'audio/mpeg' })
+}
+
+export const downloadAudio = async ({ id, url, title, kind, meta = null }, onProgress = () => {}) => {
+  if (!isOfflineSupported()) throw new Error('Offline storage is not supported in this browser')
+
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Download failed with status ${response.status}`)
+
+  const blob = await readWithProgress(response, onProgress)
+  const cache = await caches.open(CACHE_NAME)
+  await cache.put(url, new Response(blob, {
+    headers: { 'Content-Type': blob.type, 'Content-Length': String(blob.size) }
+  }))
+
+  const entry = { id, url, title, kind, meta, size: blob.size, downloadedAt: new Date().toISOString() }
+  writeIndex({ ...readIndex(), [id]: entry })
+  return entry
+}
+
+export const removeDownload = async (id) => {
+  const index = readIndex()
+  const entry = index[id]
+  if (!entry) return
+
+  if (isOfflineSupported()) {
+    const cache = await caches.open(CACHE_NAME)
+    await cache.delete(entry.url)
+  }
+  delete index[id]
+  writeIndex(index)
+}
+
+// Sound Healing tracks used to be downloadable as multi-megabyte MP3s. Their
+// tones are generated now, so any copies left from before only take space.
+const RETIRED_KINDS = ['sound']
+
+let retiredCleanup = null
+
+// Runs once per visit however many components ask
+export const removeRetiredDownloads = () => {
+  if (!retiredCleanup) {
+    retiredCleanup = (async () => {
+      const retired = Object.values(readIndex()).filter(entry => RETIRED_KINDS.includes(entry.kind))
+      for (const entry of retired) {
+        await removeDownload(entry.id)
+      }
+    })()
+  }
+  return retiredCleanup
+}
+
+// A blob: URL for the cached copy when there is one, otherwise the URL
+// itself. Pass the result to releaseOfflineUrl once it is no longer played.
+export const getOfflineUrl = async (url) => {
+  if (!url || !isOfflineSupported()) return url
+
+  try {
+    const cache = await caches.open(CACHE_NAME)
+    const match = await cache.match(url)
+    return match ? URL.createObjectURL(await match.blob()) : url
+  } catch (error) {
+    console.warn('Offline cache unavailable:', error)
+    return url
+  }
+}
+
+export const releaseOfflineUrl = (url) => {
+  if (url?.startsWith('blob:')) URL.revokeObjectURL(url)
+}
+
+// Bytes used by downloads and, where the browser reports it, the quota
+export const getStorageUsage = async () => {
+  const used = Object.values(readIndex()).reduce((total, entry) => total + (entry.size || 0), 0)
+  try {
+    const estimate = await navigator.storage?.estimate?.()
+    return { used, quota: estimate?.quota || null }
+  } catch {
+    return { used, quota: null }
+  }
+}
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB'
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+}
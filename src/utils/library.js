@@ -0,0 +1,122 @@
+import { supabase } from '../config/supabase'
+
+// Shape a playlist row with its items, in play order
+const toPlaylist = (row) => ({
+  id: row.id,
+  name: row.name,
+  createdAt: row.created_at,
+  meditationIds: [...(row.items || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(item => item.meditation_id)
+})
+
+const PLAYLIST_COLUMNS = 'id, name, created_at, items:playlist_items(meditation_id, position)'
+
+export const fetchFavoriteIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('meditation_favorites')
+    .select('meditation_id')
+    .eq('user_id', userId)
+
+  if (error) throw error
+  return new Set((data || []).map(row => row.meditation_id))
+}
+
+export const setFavorite = async (userId, meditationId, favorite) => {
+  const query = favorite
+    ? supabase
+      .from('meditation_favorites')
+      .upsert(
+        { user_id: userId, meditation_id: meditationId },
+        // Favorites have no update policy, so an existing row is left alone
+        { onConflict: 'user_id,meditation_id', ignoreDuplicates: true }
+      )
+    : supabase
+      .from('meditation_favorites')
+      .delete()
+      .eq('user_id', userId)
+      .eq('meditation_id', meditationId)
+
+  const { error } = await query
+  if (error) throw error
+}
+
+export const fetchPlaylists = async (userId) => {
+  const { data, error } = await supabase
+    .from('playlists')
+    .select(PLAYLIST_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return (data || []).map(toPlaylist)
+}
+
+export const fetchPlaylist = async (playlistId) => {
+  const { data, error } = await supabase
+    .from('playlists')
+    .select(PLAYLIST_COLUMNS)
+    .eq('id', playlistId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? toPlaylist(data) : null
+}
+
+export const createPlaylist = async (userId, name) => {
+  const { data, error } = await supabase
+    .from('playlists')
+    .insert({ user_id: userId, name: name.trim() })
+    .select(PLAYLIST_COLUMNS)
+    .single()
+
+  if (error) throw error
+  return toPlaylist(data)
+}
+
+export const renamePlaylist = async (playlistId, name) => {
+  const { error } = await supabase
+    .from('playlists')
+    .update({ name: name.trim(), updated_at: new Date().toISOString() })
+    .eq('id', playlistId)
+
+  if (error) throw error
+}
+
+export const deletePlaylist = async (playlistId) => {
+  const { error } = await supabase
+    .from('playlists')
+    .delete()
+    .eq('id', playlistId)
+
+  if (error) throw error
+}
+
+// Write the new order over the existing positions first, then drop any
+// positions past the end. A failed write leaves the old list in place
+// rather than an empty playlist.
+export const savePlaylistItems = async (playlistId, meditationIds) => {
+  if (meditationIds.length > 0) {
+    const { error } = await supabase
+      .from('playlist_items')
+      .upsert(meditationIds.map((meditationId, position) => ({
+        playlist_id: playlistId,
+        meditation_id: meditationId,
+        position
+      })), { onConflict: 'playlist_id,position' })
+
+    if (error) throw error
+  }
+
+  const { error: pruneError } = await supabase
+    .from('playlist_items')
+    .delete()
+    .eq('playlist_id', playlistId)
+    .gte('position', meditationIds.length)
+
+  if (pruneError) throw pruneError
+}
+
+// Player URL for a given entry of a playlist
+export const playlistTrackPath = (playlist, track) =>
+  `/meditation/${playlist.meditationIds[track]}?playlist=${playlist.id}&track=${track}`
@@ -0,0 +1,60 @@
+export const isMediaSessionSupported = () =>
+  typeof navigator !== 'undefined' && 'mediaSession' in navigator
+
+export const DEFAULT_ARTWORK = '/assets/nirvaha-logo.png'
+
+// Hex values for the Tailwind colours the Sound Healing cards use
+const GRADIENT_HEX = {
+  'blue-500': '#3b82f6',
+  'green-500': '#22c55e',
+  'pink-500': '#ec4899',
+  'purple-500': '#a855f7',
+  'red-500': '#ef4444',
+  'orange-500': '#f97316',
+  'amber-500': '#f59e0b',
+  'yellow-500': '#eab308',
+  'cyan-500': '#06b6d4',
+  'indigo-500': '#6366f1'
+}
+
+const PRIMARY_HEX = '#00D5B0'
+const DARK_HEX = '#0A192F'
+const ARTWORK_SIZE = 512
+
+const artworkCache = new Map()
+
+// Lock-screen artwork for a card without an image: its gradient with the
+// title on top, as a PNG data URL. `colorClass` is the card's Tailwind
+// gradient, e.g. 'from-blue-500/20 to-primary/20'.
+export const renderArtwork = ({ title, subtitle, colorClass }) => {
+  const key = `${title}|${subtitle}|${colorClass}`
+  if (artworkCache.has(key)) return artworkCache.get(key)
+
+  const from = GRADIENT_HEX[colorClass?.match(/from-(\w+-\d+)/)?.[1]] || PRIMARY_HEX
+  const canvas = document.createElement('canvas')
+  canvas.width = ARTWORK_SIZE
+  canvas.height = ARTWORK_SIZE
+  const g = canvas.getContext('2d')
+
+  g.fillStyle = DARK_HEX
+  g.fillRect(0, 0, ARTWORK_SIZE, ARTWORK_SIZE)
+  const gradient = g.createLinearGradient(0, 0, ARTWORK_SIZE, ARTWORK_SIZE)
+  gradient.addColorStop(0, `${from}99`)
+  gradient.addColorStop(1, `${PRIMARY_HEX}66`)
+  g.fillStyle = gradient
+  g.fillRect(0, 0, ARTWORK_SIZE, ARTWORK_SIZE)
+
+  g.fillStyle = '#ffffff'
+  g.textAlign = 'center'
+  g.font = 'bold 44px "Plus Jakarta Sans", sans-serif'
+  g.fillText(title, ARTWORK_SIZE / 2, ARTWORK_SIZE / 2, ARTWORK_SIZE - 48)
+  if (subtitle) {
+    g.fillStyle = PRIMARY_HEX
+    g.font = '32px "Plus Jakarta Sans", sans-serif'
+    g.fillText(subtitle, ARTWORK_SIZE / 2, ARTWORK_SIZE / 2 + 56, ARTWORK_SIZE - 48)
+  }
+
+  const url = canvas.toDataURL('image/png')
+  artworkCache.set(key, url)
+  return url
+}
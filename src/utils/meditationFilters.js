@@ -0,0 +1,76 @@
+// Catalogue search, facets and sorting. Filter state lives in the URL query
+// so a filtered view can be bookmarked or shared.
+
+export const DURATION_RANGES = [
+  { id: 'short', name: 'Up to 10 min', min: 0, max: 10 },
+  { id: 'medium', name: '11 - 20 min', min: 11, max: 20 },
+  { id: 'long', name: 'Over 20 min', min: 21, max: Infinity }
+]
+
+export const SORT_OPTIONS = [
+  { id: 'featured', name: 'Featured' },
+  { id: 'newest', name: 'Newest' },
+  { id: 'shortest', name: 'Shortest' },
+  { id: 'popular', name: 'Most popular' }
+]
+
+// Multi-value facets and their query parameter names
+export const FACETS = ['level', 'type', 'duration', 'instructor']
+
+// Each value is its own parameter (?instructor=a&instructor=b), so values
+// containing commas survive the round trip
+const readList = (params, key) =>
+  params.getAll(key).map(value => value.trim()).filter(Boolean)
+
+export const parseFilters = (params) => ({
+  query: params.get('q') || '',
+  level: readList(params, 'level'),
+  type: readList(params, 'type'),
+  duration: readList(params, 'duration'),
+  instructor: readList(params, 'instructor'),
+  sort: SORT_OPTIONS.some(option => option.id === params.get('sort')) ? params.get('sort') : 'featured'
+})
+
+// Only non-default values make it into the URL
+export const serializeFilters = (filters) => {
+  const params = new URLSearchParams()
+  if (filters.query.trim()) params.set('q', filters.query)
+  FACETS.forEach(facet => {
+    filters[facet].forEach(value => params.append(facet, value))
+  })
+  if (filters.sort !== 'featured') params.set('sort', filters.sort)
+  return params
+}
+
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.query.trim()) || FACETS.some(facet => filters[facet].length > 0)
+
+const matchesDuration = (minutes, rangeIds) =>
+  rangeIds.some(id => {
+    const range = DURATION_RANGES.find(r => r.id === id)
+    return range && minutes >= range.min && minutes <= range.max
+  })
+
+const SORTERS = {
+  featured: () => 0,
+  newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  shortest: (a, b) => a.durationMinutes - b.durationMinutes,
+  popular: (a, b) => b.playCount - a.playCount
+}
+
+export const applyFilters = (meditations, filters) => {
+  const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean)
+
+  const results = meditations.filter(meditation => {
+    const haystack = `${meditation.title} ${meditation.description} ${meditation.instructor}`.toLowerCase()
+    if (!terms.every(term => haystack.includes(term))) return false
+    if (filters.level.length && !filters.level.includes(meditation.level)) return false
+    if (filters.type.length && !filters.type.includes(meditation.type)) return false
+    if (filters.instructor.length && !filters.instructor.includes(meditation.instructor)) return false
+    if (filters.duration.length && !matchesDuration(meditation.durationMinutes, filters.duration)) return false
+    return true
+  })
+
+  // Array.prototype.sort is stable, so "featured" keeps the catalogue order
+  return results.sort(SORTERS[filters.sort])
+}
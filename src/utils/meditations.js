@@ -0,0 +1,78 @@
+import { supabase } from '../config/supabase'
+
+const MEDIA_BUCKET = 'meditations'
+
+const MEDITATION_COLUMNS = `
+  id,
+  slug,
+  title,
+  description,
+  level,
+  type,
+  duration_minutes,
+  audio_path,
+  cover_image_path,
+  ambient_bed,
+  breathing_pattern,
+  play_count,
+  created_at,
+  instructor:instructors(id, name)
+`
+
+export const LEVEL_LABELS = {
+  beginner: 'Beginner',
+  intermediate: 'Intermediate',
+  advanced: 'Advanced',
+  all_levels: 'All Levels'
+}
+
+// Storage paths are relative to the meditations bucket; absolute URLs and
+// files served from /public pass through untouched
+export const resolveMediaUrl = (path) => {
+  if (!path) return null
+  if (/^(https?:|blob:|data:)/.test(path) || path.startsWith('/')) return path
+
+  const { data } = supabase.storage.from(MEDIA_BUCKET).getPublicUrl(path)
+  return data.publicUrl
+}
+
+// Shape a database row into what the pages render
+const toMeditation = (row) => ({
+  id: row.id,
+  slug: row.slug,
+  title: row.title,
+  description: row.description || '',
+  level: row.level,
+  levelLabel: LEVEL_LABELS[row.level] || row.level,
+  type: row.type,
+  durationMinutes: row.duration_minutes,
+  audioUrl: resolveMediaUrl(row.audio_path),
+  image: resolveMediaUrl(row.cover_image_path),
+  ambientBed: row.ambient_bed || 'none',
+  breathingPattern: row.breathing_pattern,
+  playCount: row.play_count || 0,
+  instructor: row.instructor?.name || '',
+  createdAt: row.created_at
+})
+
+export const fetchMeditations = async () => {
+  const { data, error } = await supabase
+    .from('meditations')
+    .select(MEDITATION_COLUMNS)
+    .order('sort_order', { ascending: true })
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return (data || []).map(toMeditation)
+}
+
+export const fetchMeditation = async (id) => {
+  const { data, error } = await supabase
+    .from('meditations')
+    .select(MEDITATION_COLUMNS)
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? toMeditation(data) : null
+}
@@ -0,0 +1,12 @@
+// Registers public/sw.js, which lets the app open with no network and play
+// downloaded audio. Only in production builds: in development it would
+// serve stale modules over Vite's.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
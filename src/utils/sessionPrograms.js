@@ -0,0 +1,116 @@
+import { supabase } from '../config/supabase'
+import { BRAINWAVE_BANDS } from '../audio/brainwaves'
+
+// A program is a brainwave tone whose beat frequency and volume move between
+// keyframes: [{ minute, beat, volume }] in time order, with linear ramps
+// between neighbours. Two keyframes with the same values make a hold.
+
+export const PROGRAM_LIMITS = {
+  minBeat: 0.5,
+  maxBeat: 45,
+  maxMinutes: 180
+}
+
+// Programs sweep across bands, so they use one carrier throughout
+export const PROGRAM_CARRIER = 200
+
+export const DEFAULT_PROGRAM = {
+  name: 'Wind down to sleep',
+  mode: 'binaural',
+  keyframes: [
+    { minute: 0, beat: 14, volume: 0.5 },
+    { minute: 10, beat: 10, volume: 0.5 },
+    { minute: 20, beat: 10, volume: 0.45 },
+    { minute: 30, beat: 2, volume: 0.3 }
+  ]
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+// Clamp every value and sort by time. The first keyframe always sits at 0.
+export const normalizeKeyframes = (keyframes) => {
+  const sorted = keyframes
+    .map(frame => ({
+      minute: clamp(Number(frame.minute) || 0, 0, PROGRAM_LIMITS.maxMinutes),
+      beat: clamp(Number(frame.beat) || PROGRAM_LIMITS.minBeat, PROGRAM_LIMITS.minBeat, PROGRAM_LIMITS.maxBeat),
+      volume: clamp(Number(frame.volume) || 0, 0, 1)
+    }))
+    .sort((a, b) => a.minute - b.minute)
+  if (sorted.length) sorted[0] = { ...sorted[0], minute: 0 }
+  return sorted
+}
+
+export const getProgramMinutes = (keyframes) =>
+  keyframes.length ? keyframes[keyframes.length - 1].minute : 0
+
+// Beat and volume `minute` minutes into the program
+export const getProgramValues = (keyframes, minute) => {
+  if (!keyframes.length) return { beat: PROGRAM_LIMITS.minBeat, volume: 0 }
+  const nextIndex = keyframes.findIndex(frame => frame.minute > minute)
+  if (nextIndex === -1) {
+    const { beat, volume } = keyframes[keyframes.length - 1]
+    return { beat, volume }
+  }
+  if (nextIndex === 0) {
+    const { beat, volume } = keyframes[0]
+    return { beat, volume }
+  }
+  const from = keyframes[nextIndex - 1]
+  const to = keyframes[nextIndex]
+  const progress = (minute - from.minute) / (to.minute - from.minute)
+  return {
+    beat: from.beat + (to.beat - from.beat) * progress,
+    volume: from.volume + (to.volume - from.volume) * progress
+  }
+}
+
+// The named band a beat frequency falls in, or null between bands
+export const getBandForBeat = (beat) =>
+  Object.keys(BRAINWAVE_BANDS).find(id => beat >= BRAINWAVE_BANDS[id].min && beat <= BRAINWAVE_BANDS[id].max) || null
+
+const toProgram = (row) => ({
+  id: row.id,
+  name: row.name,
+  mode: row.mode,
+  keyframes: normalizeKeyframes(row.keyframes || [])
+})
+
+const PROGRAM_COLUMNS = 'id, name, mode, keyframes'
+
+export const fetchPrograms = async (userId) => {
+  const { data, error } = await supabase
+    .from('session_programs')
+    .select(PROGRAM_COLUMNS)
+    .eq('user_id', userId)
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return (data || []).map(toProgram)
+}
+
+// Saving under an existing name overwrites that program
+export const saveProgram = async (userId, { name, mode, keyframes }) => {
+  const { data, error } = await supabase
+    .from('session_programs')
+    .upsert({
+      user_id: userId,
+      name: name.trim(),
+      mode,
+      keyframes: normalizeKeyframes(keyframes),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,name' })
+    .select(PROGRAM_COLUMNS)
+    .single()
+
+  if (error) throw error
+  return toProgram(data)
+}
+
+export const deleteProgram = async (programId) => {
+  const { error } = await supabase
+    .from('session_programs')
+    .delete()
+    .eq('id', programId)
+
+  if (error) throw error
+}
@@ -0,0 +1,104 @@
+import { supabase } from '../config/supabase'
+
+const localKey = (userId, meditationId) => `nirvaha.progress.${userId}.${meditationId}`
+
+const fromRow = (row) => ({
+  position: Number(row.position_seconds) || 0,
+  listenedSeconds: Number(row.listened_seconds) || 0,
+  sessionId: row.session_id,
+  updatedAt: row.updated_at
+})
+
+// Prefer whichever copy was written last (another device may be ahead)
+const newest = (a, b) => {
+  if (!a) return b || null
+  if (!b) return a
+  return new Date(a.updatedAt) >= new Date(b.updatedAt) ? a : b
+}
+
+export const loadLocalProgress = (userId, meditationId) => {
+  try {
+    return JSON.parse(localStorage.getItem(localKey(userId, meditationId)))
+  } catch {
+    return null
+  }
+}
+
+export const saveLocalProgress = (userId, meditationId, progress) => {
+  localStorage.setItem(localKey(userId, meditationId), JSON.stringify(progress))
+}
+
+export const saveRemoteProgress = async (userId, meditationId, progress) => {
+  const { error } = await supabase
+    .from('meditation_progress')
+    .upsert({
+      user_id: userId,
+      meditation_id: meditationId,
+      position_seconds: progress.position,
+      listened_seconds: progress.listenedSeconds,
+      session_id: progress.sessionId,
+      updated_at: progress.updatedAt
+    }, { onConflict: 'user_id,meditation_id' })
+
+  if (error) throw error
+}
+
+export const fetchProgress = async (userId, meditationId) => {
+  const local = loadLocalProgress(userId, meditationId)
+
+  try {
+    const { data, error } = await supabase
+      .from('meditation_progress')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('meditation_id', meditationId)
+      .maybeSingle()
+
+    if (error) throw error
+    return newest(local, data ? fromRow(data) : null)
+  } catch (error) {
+    console.error('Error fetching meditation progress:', error)
+    return local
+  }
+}
+
+// Progress for every meditation the user has started, keyed by meditation id
+export const fetchProgressMap = async (userId) => {
+  const map = {}
+
+  try {
+    const { data, error } = await supabase
+      .from('meditation_progress')
+      .select('*')
+      .eq('user_id', userId)
+
+    if (error) throw error
+    data?.forEach(row => {
+      map[row.meditation_id] = fromRow(row)
+    })
+  } catch (error) {
+    console.error('Error fetching meditation progress:', error)
+  }
+
+  const prefix = `nirvaha.progress.${userId}.`
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => {
+      const meditationId = key.slice(prefix.length)
+      map[meditationId] = newest(loadLocalProgress(userId, meditationId), map[meditationId])
+    })
+
+  return map
+}
+
+export const clearProgress = async (userId, meditationId) => {
+  localStorage.removeItem(localKey(userId, meditationId))
+
+  const { error } = await supabase
+    .from('meditation_progress')
+    .delete()
+    .eq('user_id', userId)
+    .eq('meditation_id', meditationId)
+
+  if (error) console.error('Error clearing meditation progress:', error)
+}
@@ -0,0 +1,101 @@
+import { supabase } from '../config/supabase'
+
+const PENDING_KEY = 'nirvaha.pendingSessions'
+
+// Kinds of practice the Profile page totals separately
+// `hasEnd` marks practices with a set length that can be completed. Sound
+// Healing runs until stopped and logs a row per listening stretch, so it
+// only adds minutes.
+export const PRACTICE_TYPES = {
+  meditation: { label: 'Guided Meditation', icon: '🧘‍♀️', hasEnd: true },
+  timer: { label: 'Silent Timer', icon: '⏳', hasEnd: true },
+  sound_healing: { label: 'Sound Healing', icon: '🎵', hasEnd: false }
+}
+
+export const getPracticeType = (id) => PRACTICE_TYPES[id] || PRACTICE_TYPES.meditation
+
+// Record a practice session in the table the Profile page builds its stats from.
+// Passing an id upserts, so an interrupted attempt can be updated in place
+// until it is finally completed. `endedAt` defaults to now; pass it when the
+// write may happen later than the session ended, as with parked sessions.
+export const logMeditationSession = async ({
+  id,
+  userId,
+  meditationId = null,
+  title,
+  durationMinutes,
+  completed = true,
+  practiceType = 'meditation',
+  startedAt = null,
+  endedAt = null,
+  details = {}
+}) => {
+  if (!userId) throw new Error('User not authenticated')
+
+  const row = {
+    user_id: userId,
+    meditation_id: meditationId,
+    title,
+    duration_minutes: Math.max(0, Math.round(durationMinutes)),
+    completed,
+    completed_at: endedAt || new Date().toISOString(),
+    practice_type: practiceType,
+    started_at: startedAt,
+    details
+  }
+
+  const query = id
+    ? supabase.from('meditation_sessions').upsert({ id, ...row }, { onConflict: 'id' })
+    : supabase.from('meditation_sessions').insert(row)
+
+  const { data, error } = await query.select().single()
+
+  if (error) throw error
+  return data
+}
+
+const readPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+const writePending = (pending) => {
+  localStorage.setItem(PENDING_KEY, JSON.stringify(pending))
+}
+
+// Write a session that must not be lost when the tab closes. It is parked in
+// localStorage first and only removed once Supabase has accepted it.
+export const saveSessionReliably = async (session) => {
+  const pending = readPending()
+  pending[session.id] = session
+  writePending(pending)
+
+  await logMeditationSession(session)
+
+  // Leave it parked if a newer write for the same attempt arrived meanwhile
+  const latest = readPending()
+  if (JSON.stringify(latest[session.id]) === JSON.stringify(session)) {
+    delete latest[session.id]
+    writePending(latest)
+  }
+}
+
+// Retry sessions that were parked by a previous visit
+export const flushPendingSessions = async (userId) => {
+  const pending = readPending()
+  const sessions = Object.values(pending).filter(session => session.userId === userId)
+
+  for (const session of sessions) {
+    try {
+      await logMeditationSession(session)
+      const latest = readPending()
+      delete latest[session.id]
+      writePending(latest)
+    } catch (error) {
+      console.error('Error syncing pending session:', error)
+    }
+  }
+}
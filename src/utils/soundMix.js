@@ -0,0 +1,100 @@
+import { BRAINWAVE_BANDS, BRAINWAVE_MODES, clampBeat, getBrainwaveMode } from '../audio/brainwaves'
+import { SOLFEGGIO_TIMBRES, getSolfeggioTone } from '../audio/solfeggio'
+import { SOUNDSCAPE_LOOPS } from '../audio/ambience'
+
+// Sound Healing mixes as a compact URL parameter, e.g.
+//   ?mix=alpha-10-b_v50_m80_rain40_ocean25m_t30
+// Segments are joined by "_": a brainwave tone (band-beat-mode initial) or a
+// solfeggio tone (s528-p), tone volume (v, "m" suffix when muted), master
+// volume (m), one per ambient loop (id + volume, "m" when muted) and the
+// sleep timer in minutes (t). Volumes are whole percentages. Only
+// characters URLSearchParams leaves alone are used, so links stay readable.
+
+export const MIX_PARAM = 'mix'
+
+const MODE_CODES = Object.fromEntries(BRAINWAVE_MODES.map(mode => [mode.id, mode.id[0]]))
+const TIMBRE_CODES = { pure: 'p', pad: 'd' }
+const MAX_TIMER_MINUTES = 600
+
+const toPercent = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 100)
+const fromPercent = (text) => Math.min(Math.max(parseInt(text, 10), 0), 100) / 100
+const findCode = (codes, code) => Object.keys(codes).find(id => codes[id] === code)
+
+export const encodeMix = (settings) => {
+  const segments = []
+
+  if (settings.band && BRAINWAVE_BANDS[settings.band]) {
+    segments.push(`${settings.band}-${settings.beat}-${MODE_CODES[settings.mode] || 'b'}`)
+  } else if (getSolfeggioTone(settings.solfeggio)) {
+    segments.push(`s${settings.solfeggio}-${TIMBRE_CODES[settings.timbre] || 'p'}`)
+  }
+  if (segments.length && settings.toneVolume !== null && settings.toneVolume !== undefined) {
+    segments.push(`v${toPercent(settings.toneVolume)}${settings.toneMuted ? 'm' : ''}`)
+  }
+  if (settings.masterVolume !== undefined) {
+    segments.push(`m${toPercent(settings.masterVolume)}`)
+  }
+  Object.entries(settings.layers || {}).forEach(([id, layer]) => {
+    segments.push(`${id}${toPercent(layer.volume)}${layer.muted ? 'm' : ''}`)
+  })
+  if (typeof settings.timer === 'number') {
+    segments.push(`t${settings.timer}`)
+  }
+
+  return segments.join('_')
+}
+
+// The settings a mix parameter describes, or null when nothing in it is
+// usable. Unknown or malformed segments are skipped.
+export const decodeMix = (text) => {
+  if (!text) return null
+  const settings = { layers: {} }
+  const loopIds = new Set(SOUNDSCAPE_LOOPS.map(loop => loop.id))
+
+  text.split('_').forEach(segment => {
+    let match
+    if ((match = segment.match(/^([a-z]+)-(\d+(?:\.\d+)?)-([a-z])$/)) && BRAINWAVE_BANDS[match[1]]) {
+      settings.band = match[1]
+      settings.beat = clampBeat(match[1], parseFloat(match[2]))
+      settings.mode = findCode(MODE_CODES, match[3]) || 'binaural'
+    } else if ((match = segment.match(/^s(\d+)-([a-z])$/)) && getSolfeggioTone(parseInt(match[1], 10))) {
+      settings.solfeggio = parseInt(match[1], 10)
+      settings.timbre = findCode(TIMBRE_CODES, match[2]) || 'pure'
+    } else if ((match = segment.match(/^v(\d+)(m?)$/))) {
+      settings.toneVolume = fromPercent(match[1])
+      settings.toneMuted = match[2] === 'm'
+    } else if ((match = segment.match(/^m(\d+)$/))) {
+      settings.masterVolume = fromPercent(match[1])
+    } else if ((match = segment.match(/^t(\d+)$/))) {
+      const minutes = parseInt(match[1], 10)
+      if (minutes > 0 && minutes <= MAX_TIMER_MINUTES) settings.timer = minutes
+    } else if ((match = segment.match(/^([a-z]+)(\d+)(m?)$/)) && loopIds.has(match[1])) {
+      settings.layers[match[1]] = { volume: fromPercent(match[2]), muted: match[3] === 'm' }
+    }
+  })
+
+  // A brainwave tone wins if a link somehow carries both
+  if (settings.band) delete settings.solfeggio
+
+  const hasSound = settings.band || settings.solfeggio || Object.keys(settings.layers).length > 0
+  return hasSound ? settings : null
+}
+
+// One line for the "play this mix?" prompt, e.g.
+// "Alpha 10 Hz binaural • Rain 40% • 30 min timer"
+export const describeMix = (settings) => {
+  const parts = []
+  if (settings.band) {
+    const band = settings.band[0].toUpperCase() + settings.band.slice(1)
+    parts.push(`${band} ${settings.beat} Hz ${getBrainwaveMode(settings.mode).name.toLowerCase()}`)
+  } else if (settings.solfeggio) {
+    const timbre = SOLFEGGIO_TIMBRES.find(option => option.id === settings.timbre)
+    parts.push(`${getSolfeggioTone(settings.solfeggio).name}${timbre ? ` (${timbre.name.toLowerCase()})` : ''}`)
+  }
+  SOUNDSCAPE_LOOPS.forEach(loop => {
+    const layer = settings.layers?.[loop.id]
+    if (layer) parts.push(`${loop.name} ${toPercent(layer.volume)}%${layer.muted ? ' (muted)' : ''}`)
+  })
+  if (settings.timer) parts.push(`${settings.timer} min timer`)
+  return parts.join(' • ')
+}
@@ -0,0 +1,45 @@
+import { supabase } from '../config/supabase'
+
+const toPreset = (row) => ({
+  id: row.id,
+  name: row.name,
+  settings: row.settings || {},
+  updatedAt: row.updated_at
+})
+
+export const fetchSoundPresets = async (userId) => {
+  const { data, error } = await supabase
+    .from('sound_presets')
+    .select('id, name, settings, updated_at')
+    .eq('user_id', userId)
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return (data || []).map(toPreset)
+}
+
+// Saving under an existing name overwrites that preset
+export const saveSoundPreset = async (userId, name, settings) => {
+  const { data, error } = await supabase
+    .from('sound_presets')
+    .upsert({
+      user_id: userId,
+      name: name.trim(),
+      settings,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,name' })
+    .select('id, name, settings, updated_at')
+    .single()
+
+  if (error) throw error
+  return toPreset(data)
+}
+
+export const deleteSoundPreset = async (presetId) => {
+  const { error } = await supabase
+    .from('sound_presets')
+    .delete()
+    .eq('id', presetId)
+
+  if (error) throw error
+}
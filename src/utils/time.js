@@ -0,0 +1,10 @@
+// Format a number of seconds as m:ss (or h:mm:ss for long sessions)
+export const formatClock = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds))
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = String(seconds % 60).padStart(2, '0')
+
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+  return `${minutes}:${secs}`
+}
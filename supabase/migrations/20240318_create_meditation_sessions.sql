@@ -0,0 +1,35 @@
+-- Create a table for meditation sessions read by the profile page
+create table if not exists public.meditation_sessions (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users on delete cascade not null,
+  meditation_id bigint,
+  title text,
+  duration_minutes integer default 0 not null check (duration_minutes >= 0),
+  completed boolean default false not null,
+  completed_at timestamp with time zone default timezone('utc'::text, now()),
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Profile stats and streaks are always looked up per user, newest first
+create index if not exists meditation_sessions_user_id_completed_at_idx
+  on public.meditation_sessions (user_id, completed_at desc);
+
+-- Enable Row Level Security
+alter table public.meditation_sessions enable row level security;
+
+-- Create policies
+create policy "Users can view own meditation sessions"
+  on meditation_sessions for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own meditation sessions"
+  on meditation_sessions for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can update own meditation sessions"
+  on meditation_sessions for update
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete own meditation sessions"
+  on meditation_sessions for delete
+  using ( auth.uid() = user_id );
@@ -0,0 +1,140 @@
+-- Create the achievement catalogue
+create table if not exists public.achievements (
+  id uuid default gen_random_uuid() primary key,
+  slug text unique not null,
+  title text not null,
+  description text,
+  icon text,
+  criteria_type text not null check (criteria_type in ('sessions', 'minutes', 'streak')),
+  criteria_value integer not null check (criteria_value > 0),
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create a table for each user's progress towards an achievement
+create table if not exists public.user_achievements (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users on delete cascade not null,
+  achievement_id uuid references public.achievements on delete cascade not null,
+  progress integer default 0 not null check (progress between 0 and 100),
+  unlocked_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (user_id, achievement_id)
+);
+
+create index if not exists user_achievements_user_id_unlocked_at_idx
+  on public.user_achievements (user_id, unlocked_at desc);
+
+-- Enable Row Level Security
+alter table public.achievements enable row level security;
+alter table public.user_achievements enable row level security;
+
+-- Create policies
+create policy "Achievements are viewable by everyone"
+  on achievements for select
+  using ( true );
+
+-- Progress is only written by refresh_user_achievements below
+create policy "Users can view own achievements"
+  on user_achievements for select
+  using ( auth.uid() = user_id );
+
+-- Recalculate a user's achievement progress from their meditation sessions
+create or replace function public.refresh_user_achievements(p_user_id uuid)
+returns void as $$
+declare
+  v_sessions integer;
+  v_minutes integer;
+  v_streak integer;
+begin
+  select
+    count(*) filter (where completed),
+    coalesce(sum(duration_minutes), 0)
+  into v_sessions, v_minutes
+  from public.meditation_sessions
+  where user_id = p_user_id;
+
+  -- Longest run of consecutive days with a completed session
+  select coalesce(max(streak), 0) into v_streak
+  from (
+    select count(*) as streak
+    from (
+      select day, day - (row_number() over (order by day))::integer as grp
+      from (
+        select distinct (completed_at at time zone 'utc')::date as day
+        from public.meditation_sessions
+        where user_id = p_user_id and completed and completed_at is not null
+      ) days
+    ) grouped
+    group by grp
+  ) streaks;
+
+  -- Only achievements the user has started on get a row
+  insert into public.user_achievements (user_id, achievement_id, progress, unlocked_at)
+  select p_user_id, scored.achievement_id, scored.progress, null
+  from (
+    select
+      a.id as achievement_id,
+      least(100, floor(100.0 * case a.criteria_type
+        when 'sessions' then v_sessions
+        when 'minutes' then v_minutes
+        else v_streak
+      end / a.criteria_value))::integer as progress
+    from public.achievements a
+  ) scored
+  where scored.progress > 0
+  on conflict (user_id, achievement_id) do update
+    set progress = excluded.progress,
+        unlocked_at = coalesce(
+          public.user_achievements.unlocked_at,
+          case when excluded.progress >= 100 then timezone('utc'::text, now()) end
+        ),
+        updated_at = timezone('utc'::text, now());
+
+  -- Progress can fall back to nothing when sessions are deleted; unlocked
+  -- achievements are kept
+  delete from public.user_achievements ua
+  where ua.user_id = p_user_id
+    and ua.unlocked_at is null
+    and not exists (
+      select 1
+      from public.achievements a
+      where a.id = ua.achievement_id
+        and floor(100.0 * case a.criteria_type
+          when 'sessions' then v_sessions
+          when 'minutes' then v_minutes
+          else v_streak
+        end / a.criteria_value) > 0
+    );
+end;
+$$ language plpgsql security definer;
+
+create or replace function public.handle_meditation_session_change()
+returns trigger as $$
+begin
+  perform public.refresh_user_achievements(coalesce(new.user_id, old.user_id));
+  return null;
+end;
+$$ language plpgsql security definer;
+
+create trigger on_meditation_session_change
+  after insert or update or delete on public.meditation_sessions
+  for each row execute procedure public.handle_meditation_session_change();
+
+-- Seed the achievement catalogue
+insert into public.achievements (slug, title, description, icon, criteria_type, criteria_value)
+values
+  ('first-meditation', 'First Meditation', 'Complete your first meditation session', '🌱', 'sessions', 1),
+  ('ten-sessions', 'Steady Practice', 'Complete 10 meditation sessions', '🪷', 'sessions', 10),
+  ('fifty-sessions', 'Devoted Meditator', 'Complete 50 meditation sessions', '🕉️', 'sessions', 50),
+  ('first-hour', 'First Hour', 'Spend a total of 60 minutes meditating', '⏳', 'minutes', 60),
+  ('ten-hours', 'Deep Roots', 'Spend a total of 10 hours meditating', '🌳', 'minutes', 600),
+  ('three-day-streak', 'Building Momentum', 'Meditate 3 days in a row', '🔥', 'streak', 3),
+  ('seven-day-streak', 'Week of Calm', 'Meditate 7 days in a row', '🌙', 'streak', 7),
+  ('thirty-day-streak', 'Mindful Month', 'Meditate 30 days in a row', '☀️', 'streak', 30)
+on conflict (slug) do update
+  set title = excluded.title,
+      description = excluded.description,
+      icon = excluded.icon,
+      criteria_type = excluded.criteria_type,
+      criteria_value = excluded.criteria_value;
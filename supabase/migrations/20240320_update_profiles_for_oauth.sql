@@ -0,0 +1,60 @@
+-- Add the profile columns written by upsertProfile in AuthContext
+alter table public.profiles
+  add column if not exists name text,
+  add column if not exists avatar_url text,
+  add column if not exists provider text default 'email';
+
+-- Pick a free username, appending 1, 2, 3... when the preferred one is taken
+create or replace function public.generate_unique_username(preferred text, email text)
+returns text as $$
+declare
+  base_username text;
+  candidate text;
+  suffix integer := 0;
+begin
+  base_username := nullif(trim(preferred), '');
+
+  if base_username is null then
+    base_username := lower(regexp_replace(split_part(coalesce(email, ''), '@', 1), '[^a-zA-Z0-9_.]', '', 'g'));
+  end if;
+
+  if base_username is null or base_username = '' then
+    base_username := 'user';
+  end if;
+
+  candidate := base_username;
+  while exists (select 1 from public.profiles where username = candidate) loop
+    suffix := suffix + 1;
+    candidate := base_username || suffix;
+  end loop;
+
+  return candidate;
+end;
+$$ language plpgsql security definer;
+
+-- Fill the profile from OAuth metadata (Google sends full_name/name and picture/avatar_url)
+create or replace function public.handle_new_user()
+returns trigger as $$
+begin
+  insert into public.profiles (id, username, email, name, avatar_url, provider)
+  values (
+    new.id,
+    public.generate_unique_username(new.raw_user_meta_data->>'username', new.email),
+    new.email,
+    coalesce(new.raw_user_meta_data->>'full_name', new.raw_user_meta_data->>'name', ''),
+    coalesce(new.raw_user_meta_data->>'avatar_url', new.raw_user_meta_data->>'picture', ''),
+    coalesce(new.raw_app_meta_data->>'provider', 'email')
+  )
+  on conflict (id) do nothing;
+  return new;
+end;
+$$ language plpgsql security definer;
+
+-- Backfill profiles created before these columns existed
+update public.profiles p
+set
+  name = coalesce(nullif(p.name, ''), u.raw_user_meta_data->>'full_name', u.raw_user_meta_data->>'name', ''),
+  avatar_url = coalesce(nullif(p.avatar_url, ''), u.raw_user_meta_data->>'avatar_url', u.raw_user_meta_data->>'picture', ''),
+  provider = coalesce(u.raw_app_meta_data->>'provider', p.provider, 'email')
+from auth.users u
+where u.id = p.id;
@@ -0,0 +1,81 @@
+-- Create a table for meditation instructors
+create table if not exists public.instructors (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  bio text,
+  avatar_path text,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create the meditation catalogue. Audio and cover paths are relative to the
+-- public "meditations" storage bucket; absolute URLs are used as-is.
+create table if not exists public.meditations (
+  id bigint generated by default as identity primary key,
+  slug text unique not null,
+  title text not null,
+  description text,
+  instructor_id bigint references public.instructors on delete set null,
+  level text default 'all_levels' not null check (level in ('beginner', 'intermediate', 'advanced', 'all_levels')),
+  type text not null,
+  duration_minutes integer not null check (duration_minutes > 0),
+  audio_path text,
+  cover_image_path text,
+  is_published boolean default true not null,
+  sort_order integer default 0 not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index if not exists meditations_published_sort_order_idx
+  on public.meditations (is_published, sort_order);
+
+-- Link logged sessions to the catalogue
+alter table public.meditation_sessions
+  add constraint meditation_sessions_meditation_id_fkey
+  foreign key (meditation_id) references public.meditations on delete set null;
+
+-- Enable Row Level Security
+alter table public.instructors enable row level security;
+alter table public.meditations enable row level security;
+
+-- Create policies. Content is managed from the dashboard with the service role.
+create policy "Instructors are viewable by everyone"
+  on instructors for select
+  using ( true );
+
+create policy "Published meditations are viewable by everyone"
+  on meditations for select
+  using ( is_published );
+
+-- Public bucket for meditation audio and cover images
+insert into storage.buckets (id, name, public)
+values ('meditations', 'meditations', true)
+on conflict (id) do nothing;
+
+create policy "Meditation media is viewable by everyone"
+  on storage.objects for select
+  using ( bucket_id = 'meditations' );
+
+-- Seed the catalogue that used to be hardcoded in Meditation.jsx
+insert into public.instructors (id, name)
+values
+  (1, 'Sarah'),
+  (2, 'Emma'),
+  (3, 'David'),
+  (4, 'Lisa'),
+  (5, 'James')
+on conflict (id) do nothing;
+
+insert into public.meditations
+  (id, slug, title, description, instructor_id, level, type, duration_minutes, audio_path, cover_image_path, sort_order)
+values
+  (1, 'mindful-breathing', 'Mindful Breathing', 'Learn the fundamentals of mindful breathing for stress relief and relaxation', 1, 'beginner', 'Breathing', 10, 'audio/mindful-breathing.mp3', 'covers/mindful-breathing.jpg', 1),
+  (2, 'loving-kindness', 'Loving-Kindness Meditation', 'Cultivate compassion and positive emotions towards yourself and others', 2, 'intermediate', 'Emotional', 20, 'audio/loving-kindness.mp3', 'covers/loving-kindness.jpg', 2),
+  (3, 'zen-meditation', 'Zen Meditation', 'Deep dive into Zen practices for profound stillness and insight', 3, 'advanced', 'Zen', 25, 'audio/zen-meditation.mp3', 'covers/zen-meditation.jpg', 3),
+  (4, 'sleep-meditation', 'Sleep Meditation', 'Gentle guided meditation to help you drift into peaceful sleep', 4, 'all_levels', 'Sleep', 30, 'audio/sleep-meditation.mp3', 'covers/sleep-meditation.jpg', 4),
+  (5, 'anxiety-relief', 'Anxiety Relief', 'Calming techniques to manage anxiety and find inner peace', 5, 'all_levels', 'Anxiety', 15, 'audio/anxiety-relief.mp3', 'covers/anxiety-relief.jpg', 5)
+on conflict (id) do nothing;
+
+-- Explicit seed ids bypass the identity sequence, so move it past them
+select setval(pg_get_serial_sequence('public.instructors', 'id'), (select max(id) from public.instructors));
+select setval(pg_get_serial_sequence('public.meditations', 'id'), (select max(id) from public.meditations));
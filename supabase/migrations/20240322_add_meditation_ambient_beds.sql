@@ -0,0 +1,9 @@
+-- Default ambient bed layered under each meditation's narration.
+-- Ids match AMBIENT_BEDS in src/audio/ambience.js.
+alter table public.meditations
+  add column if not exists ambient_bed text default 'none' not null
+  check (ambient_bed in ('none', 'rain', 'bowls', 'temple'));
+
+update public.meditations set ambient_bed = 'temple' where slug = 'mindful-breathing';
+update public.meditations set ambient_bed = 'bowls' where slug in ('loving-kindness', 'zen-meditation');
+update public.meditations set ambient_bed = 'rain' where slug in ('sleep-meditation', 'anxiety-relief');
@@ -0,0 +1,7 @@
+-- Breathing pacer shown in the player. Ids match BREATHING_PATTERNS in
+-- src/utils/breathing.js; null means the session has no pacer.
+alter table public.meditations
+  add column if not exists breathing_pattern text
+  check (breathing_pattern in ('box', '478', 'coherent'));
+
+update public.meditations set breathing_pattern = 'box' where slug = 'mindful-breathing';
@@ -0,0 +1,31 @@
+-- Last playback position per user and meditation, used to offer "Resume from"
+create table if not exists public.meditation_progress (
+  user_id uuid references auth.users on delete cascade not null,
+  meditation_id bigint references public.meditations on delete cascade not null,
+  position_seconds numeric default 0 not null check (position_seconds >= 0),
+  listened_seconds numeric default 0 not null check (listened_seconds >= 0),
+  -- The meditation_sessions row this attempt keeps updating until it completes
+  session_id uuid,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (user_id, meditation_id)
+);
+
+-- Enable Row Level Security
+alter table public.meditation_progress enable row level security;
+
+-- Create policies
+create policy "Users can view own meditation progress"
+  on meditation_progress for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own meditation progress"
+  on meditation_progress for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can update own meditation progress"
+  on meditation_progress for update
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete own meditation progress"
+  on meditation_progress for delete
+  using ( auth.uid() = user_id );
@@ -0,0 +1,33 @@
+-- Completed plays per meditation, used to sort the catalogue by popularity.
+-- Kept by trigger because row level security hides other users' sessions.
+alter table public.meditations
+  add column if not exists play_count integer default 0 not null;
+
+create or replace function public.handle_meditation_play_count()
+returns trigger as $$
+begin
+  if new.meditation_id is not null
+    and new.completed
+    and (tg_op = 'INSERT' or not old.completed) then
+    update public.meditations
+    set play_count = play_count + 1
+    where id = new.meditation_id;
+  end if;
+  return null;
+end;
+$$ language plpgsql security definer;
+
+create trigger on_meditation_session_completed
+  after insert or update of completed on public.meditation_sessions
+  for each row execute procedure public.handle_meditation_play_count();
+
+-- Backfill from sessions logged so far
+update public.meditations m
+set play_count = counts.total
+from (
+  select meditation_id, count(*) as total
+  from public.meditation_sessions
+  where completed and meditation_id is not null
+  group by meditation_id
+) counts
+where counts.meditation_id = m.id;
@@ -0,0 +1,92 @@
+-- Meditations a user has hearted
+create table if not exists public.meditation_favorites (
+  user_id uuid references auth.users on delete cascade not null,
+  meditation_id bigint references public.meditations on delete cascade not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (user_id, meditation_id)
+);
+
+-- User playlists, e.g. a "Morning routine" played back to back
+create table if not exists public.playlists (
+  id bigint generated by default as identity primary key,
+  user_id uuid references auth.users on delete cascade not null,
+  name text not null check (char_length(name) between 1 and 80),
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index if not exists playlists_user_id_idx
+  on public.playlists (user_id, created_at);
+
+-- Ordered entries. The same meditation may appear more than once, but each
+-- position holds one entry, so a reorder can upsert by position.
+create table if not exists public.playlist_items (
+  id bigint generated by default as identity primary key,
+  playlist_id bigint references public.playlists on delete cascade not null,
+  meditation_id bigint references public.meditations on delete cascade not null,
+  position integer not null check (position >= 0),
+  unique (playlist_id, position)
+);
+
+-- Enable Row Level Security
+alter table public.meditation_favorites enable row level security;
+alter table public.playlists enable row level security;
+alter table public.playlist_items enable row level security;
+
+-- Create policies
+create policy "Users can view own favorites"
+  on meditation_favorites for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own favorites"
+  on meditation_favorites for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can delete own favorites"
+  on meditation_favorites for delete
+  using ( auth.uid() = user_id );
+
+create policy "Users can view own playlists"
+  on playlists for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own playlists"
+  on playlists for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can update own playlists"
+  on playlists for update
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete own playlists"
+  on playlists for delete
+  using ( auth.uid() = user_id );
+
+-- Items inherit access from the playlist they belong to
+create policy "Users can view items of own playlists"
+  on playlist_items for select
+  using ( exists (
+    select 1 from public.playlists
+    where playlists.id = playlist_items.playlist_id and playlists.user_id = auth.uid()
+  ) );
+
+create policy "Users can insert items into own playlists"
+  on playlist_items for insert
+  with check ( exists (
+    select 1 from public.playlists
+    where playlists.id = playlist_items.playlist_id and playlists.user_id = auth.uid()
+  ) );
+
+create policy "Users can update items of own playlists"
+  on playlist_items for update
+  using ( exists (
+    select 1 from public.playlists
+    where playlists.id = playlist_items.playlist_id and playlists.user_id = auth.uid()
+  ) );
+
+create policy "Users can delete items of own playlists"
+  on playlist_items for delete
+  using ( exists (
+    select 1 from public.playlists
+    where playlists.id = playlist_items.playlist_id and playlists.user_id = auth.uid()
+  ) );
@@ -0,0 +1,129 @@
+-- Multi-day courses built from catalogue meditations
+create table if not exists public.courses (
+  id bigint generated by default as identity primary key,
+  slug text unique not null,
+  title text not null,
+  description text,
+  level text default 'all_levels' not null check (level in ('beginner', 'intermediate', 'advanced', 'all_levels')),
+  cover_image_path text,
+  is_published boolean default true not null,
+  sort_order integer default 0 not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- One lesson per day, played in order
+create table if not exists public.course_lessons (
+  id bigint generated by default as identity primary key,
+  course_id bigint references public.courses on delete cascade not null,
+  day integer not null check (day > 0),
+  title text not null,
+  description text,
+  meditation_id bigint references public.meditations on delete restrict not null,
+  unique (course_id, day)
+);
+
+-- When a user started a course; lessons also unlock one day apart from here
+create table if not exists public.course_enrollments (
+  user_id uuid references auth.users on delete cascade not null,
+  course_id bigint references public.courses on delete cascade not null,
+  started_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (user_id, course_id)
+);
+
+create table if not exists public.course_lesson_completions (
+  user_id uuid references auth.users on delete cascade not null,
+  lesson_id bigint references public.course_lessons on delete cascade not null,
+  completed_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (user_id, lesson_id)
+);
+
+-- Enable Row Level Security
+alter table public.courses enable row level security;
+alter table public.course_lessons enable row level security;
+alter table public.course_enrollments enable row level security;
+alter table public.course_lesson_completions enable row level security;
+
+-- Create policies. Course content is managed from the dashboard.
+create policy "Published courses are viewable by everyone"
+  on courses for select
+  using ( is_published );
+
+create policy "Course lessons are viewable by everyone"
+  on course_lessons for select
+  using ( true );
+
+create policy "Users can view own course enrollments"
+  on course_enrollments for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own course enrollments"
+  on course_enrollments for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can delete own course enrollments"
+  on course_enrollments for delete
+  using ( auth.uid() = user_id );
+
+create policy "Users can view own lesson completions"
+  on course_lesson_completions for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own lesson completions"
+  on course_lesson_completions for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can delete own lesson completions"
+  on course_lesson_completions for delete
+  using ( auth.uid() = user_id );
+
+-- Seed the first two courses from the existing catalogue
+insert into public.courses (id, slug, title, description, level, cover_image_path, sort_order)
+values
+  (1, '7-days-of-calm', '7 Days of Calm', 'A week of short daily sits to quiet a busy mind and settle the body', 'all_levels', 'covers/7-days-of-calm.jpg', 1),
+  (2, '21-day-beginner-path', '21-Day Beginner Path', 'Build a daily habit from your very first breath to twenty minutes of stillness', 'beginner', 'covers/21-day-beginner-path.jpg', 2)
+on conflict (id) do nothing;
+
+insert into public.course_lessons (course_id, day, title, description, meditation_id)
+select 1, lesson.day, lesson.title, lesson.description, m.id
+from (values
+  (1, 'Arriving', 'Notice the breath without changing it', 'mindful-breathing'),
+  (2, 'Letting Go of Worry', 'Meet anxious thoughts with patience', 'anxiety-relief'),
+  (3, 'Kindness Within', 'Offer yourself the warmth you give others', 'loving-kindness'),
+  (4, 'Steady Breath', 'Return to the breath whenever you drift', 'mindful-breathing'),
+  (5, 'Softening Tension', 'Release what the body has been holding', 'anxiety-relief'),
+  (6, 'Rest', 'Let the day dissolve into sleep', 'sleep-meditation'),
+  (7, 'Carrying Calm', 'Take the week''s stillness with you', 'loving-kindness')
+) as lesson(day, title, description, slug)
+join public.meditations m on m.slug = lesson.slug
+on conflict (course_id, day) do nothing;
+
+insert into public.course_lessons (course_id, day, title, description, meditation_id)
+select 2, lesson.day, lesson.title, lesson.description, m.id
+from (values
+  (1, 'Your First Breath', 'Find a posture and follow the breath', 'mindful-breathing'),
+  (2, 'Counting Breaths', 'Give the mind a simple anchor', 'mindful-breathing'),
+  (3, 'Noticing Thoughts', 'See thoughts come and go', 'mindful-breathing'),
+  (4, 'Calming the Nerves', 'A gentle way through restlessness', 'anxiety-relief'),
+  (5, 'Body Awareness', 'Feel each part of the body in turn', 'anxiety-relief'),
+  (6, 'Winding Down', 'A practice for the end of the day', 'sleep-meditation'),
+  (7, 'Week One Review', 'Return to the breath with fresh eyes', 'mindful-breathing'),
+  (8, 'Kindness to Self', 'Begin loving-kindness with yourself', 'loving-kindness'),
+  (9, 'Kindness to Others', 'Widen the circle to people you love', 'loving-kindness'),
+  (10, 'Working with Worry', 'Stay with difficult feelings', 'anxiety-relief'),
+  (11, 'Deeper Rest', 'Let go a little further into sleep', 'sleep-meditation'),
+  (12, 'Longer Stillness', 'Sit a few minutes longer than before', 'loving-kindness'),
+  (13, 'Breath as Home', 'Come back to the breath without effort', 'mindful-breathing'),
+  (14, 'Week Two Review', 'Notice what has changed', 'loving-kindness'),
+  (15, 'Just Sitting', 'A first taste of Zen practice', 'zen-meditation'),
+  (16, 'Open Awareness', 'Rest in whatever arises', 'zen-meditation'),
+  (17, 'Equanimity', 'Meet pleasant and unpleasant alike', 'anxiety-relief'),
+  (18, 'Compassion', 'Extend kindness to someone difficult', 'loving-kindness'),
+  (19, 'Silence', 'Sit with very little guidance', 'zen-meditation'),
+  (20, 'Restful Mind', 'Carry stillness into the night', 'sleep-meditation'),
+  (21, 'Your Practice', 'Twenty minutes that are now your own', 'zen-meditation')
+) as lesson(day, title, description, slug)
+join public.meditations m on m.slug = lesson.slug
+on conflict (course_id, day) do nothing;
+
+-- Explicit seed ids bypass the identity sequence, so move it past them
+select setval(pg_get_serial_sequence('public.courses', 'id'), (select max(id) from public.courses));
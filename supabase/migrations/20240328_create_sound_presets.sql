@@ -0,0 +1,33 @@
+-- Saved Sound Healing mixes: a brainwave tone plus ambient loop levels.
+-- `settings` holds the mixer snapshot, e.g.
+-- { "band": "alpha", "mode": "binaural", "beat": 10, "toneVolume": 0.5,
+--   "toneMuted": false, "masterVolume": 0.8, "layers": { "rain": { "volume": 0.4, "muted": false } } }
+create table if not exists public.sound_presets (
+  id bigint generated by default as identity primary key,
+  user_id uuid references auth.users on delete cascade not null,
+  name text not null check (char_length(name) between 1 and 60),
+  settings jsonb not null default '{}'::jsonb,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (user_id, name)
+);
+
+-- Enable Row Level Security
+alter table public.sound_presets enable row level security;
+
+-- Create policies
+create policy "Users can view own sound presets"
+  on sound_presets for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own sound presets"
+  on sound_presets for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can update own sound presets"
+  on sound_presets for update
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete own sound presets"
+  on sound_presets for delete
+  using ( auth.uid() = user_id );
@@ -0,0 +1,125 @@
+-- Tell practices apart so the profile can split its totals: guided
+-- meditations, the silent timer and Sound Healing listening.
+-- completed_at is when the session ended; started_at is when it began.
+-- details holds what was played, e.g. { "band": "alpha", "mode": "binaural" }
+-- or { "solfeggio": 528, "timbre": "pad" } for Sound Healing.
+alter table public.meditation_sessions
+  add column if not exists practice_type text default 'meditation' not null
+    check (practice_type in ('meditation', 'timer', 'sound_healing')),
+  add column if not exists started_at timestamp with time zone,
+  add column if not exists details jsonb default '{}'::jsonb not null;
+
+-- Earlier rows only carry a title
+update public.meditation_sessions
+set practice_type = 'timer'
+where title = 'Silent Timer' and practice_type = 'meditation';
+
+update public.meditation_sessions
+set practice_type = 'sound_healing'
+where title like 'Sound Healing:%' and practice_type = 'meditation';
+
+create index if not exists meditation_sessions_user_id_practice_type_idx
+  on public.meditation_sessions (user_id, practice_type);
+
+-- Achievements are for meditating. Sound Healing is logged as open-ended
+-- listening stretches, so it only adds to the Profile's total time: it
+-- counts towards no sessions, minutes or streak achievements.
+create or replace function public.refresh_user_achievements(p_user_id uuid)
+returns void as $$
+declare
+  v_sessions integer;
+  v_minutes integer;
+  v_streak integer;
+begin
+  select
+    count(*) filter (where completed),
+    coalesce(sum(duration_minutes), 0)
+  into v_sessions, v_minutes
+  from public.meditation_sessions
+  where user_id = p_user_id
+    and practice_type in ('meditation', 'timer');
+
+  -- Longest run of consecutive days with a completed session
+  select coalesce(max(streak), 0) into v_streak
+  from (
+    select count(*) as streak
+    from (
+      select day, day - (row_number() over (order by day))::integer as grp
+      from (
+        select distinct (completed_at at time zone 'utc')::date as day
+        from public.meditation_sessions
+        where user_id = p_user_id
+          and practice_type in ('meditation', 'timer')
+          and completed and completed_at is not null
+      ) days
+    ) grouped
+    group by grp
+  ) streaks;
+
+  -- Only achievements the user has started on get a row
+  insert into public.user_achievements (user_id, achievement_id, progress, unlocked_at)
+  select p_user_id, scored.achievement_id, scored.progress, null
+  from (
+    select
+      a.id as achievement_id,
+      least(100, floor(100.0 * case a.criteria_type
+        when 'sessions' then v_sessions
+        when 'minutes' then v_minutes
+        else v_streak
+      end / a.criteria_value))::integer as progress
+    from public.achievements a
+  ) scored
+  where scored.progress > 0
+  on conflict (user_id, achievement_id) do update
+    set progress = excluded.progress,
+        unlocked_at = coalesce(
+          public.user_achievements.unlocked_at,
+          case when excluded.progress >= 100 then timezone('utc'::text, now()) end
+        ),
+        updated_at = timezone('utc'::text, now());
+
+  -- Progress can fall back to nothing when sessions are deleted. Those rows
+  -- drop to zero, and go unless the achievement was unlocked.
+  update public.user_achievements ua
+  set progress = 0,
+      updated_at = timezone('utc'::text, now())
+  where ua.user_id = p_user_id
+    and ua.progress > 0
+    and not exists (
+      select 1
+      from public.achievements a
+      where a.id = ua.achievement_id
+        and floor(100.0 * case a.criteria_type
+          when 'sessions' then v_sessions
+          when 'minutes' then v_minutes
+          else v_streak
+        end / a.criteria_value) > 0
+    );
+
+  delete from public.user_achievements
+  where user_id = p_user_id and unlocked_at is null and progress = 0;
+end;
+$$ language plpgsql security definer;
+
+-- Recalculate everyone once, re-locking achievements that were only reached
+-- through Sound Healing
+do $$
+declare
+  v_user_id uuid;
+begin
+  for v_user_id in
+    select user_id from public.meditation_sessions
+    union
+    select user_id from public.user_achievements
+  loop
+    perform public.refresh_user_achievements(v_user_id);
+  end loop;
+end;
+$$;
+
+update public.user_achievements
+set unlocked_at = null
+where progress < 100 and unlocked_at is not null;
+
+delete from public.user_achievements
+where unlocked_at is null and progress = 0;
@@ -0,0 +1,33 @@
+-- Programmed Sound Healing sessions: a brainwave tone whose beat frequency
+-- and volume follow keyframes, e.g. beta 14 Hz ramping to alpha 10 Hz.
+-- keyframes: [{ "minute": 0, "beat": 14, "volume": 0.5 }, ...] in time order
+create table if not exists public.session_programs (
+  id bigint generated by default as identity primary key,
+  user_id uuid references auth.users on delete cascade not null,
+  name text not null check (char_length(name) between 1 and 60),
+  mode text default 'binaural' not null check (mode in ('binaural', 'isochronic', 'monaural')),
+  keyframes jsonb not null default '[]'::jsonb,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (user_id, name)
+);
+
+-- Enable Row Level Security
+alter table public.session_programs enable row level security;
+
+-- Create policies
+create policy "Users can view own session programs"
+  on session_programs for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert own session programs"
+  on session_programs for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can update own session programs"
+  on session_programs for update
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete own session programs"
+  on session_programs for delete
+  using ( auth.uid() = user_id );